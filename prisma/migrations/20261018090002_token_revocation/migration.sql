@@ -0,0 +1,30 @@
+-- CreateTable
+CREATE TABLE "revoked_tokens" (
+    "jti" UUID NOT NULL,
+    "user_id" INTEGER NOT NULL,
+    "expires_at" TIMESTAMP(3) NOT NULL,
+    "created_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "revoked_tokens_pkey" PRIMARY KEY ("jti")
+);
+
+-- CreateTable
+CREATE TABLE "user_token_revocations" (
+    "user_id" INTEGER NOT NULL,
+    "revoked_before" TIMESTAMP(3) NOT NULL,
+    "expires_at" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "user_token_revocations_pkey" PRIMARY KEY ("user_id")
+);
+
+-- CreateIndex
+CREATE INDEX "revoked_tokens_expires_at_idx" ON "revoked_tokens"("expires_at");
+
+-- CreateIndex
+CREATE INDEX "user_token_revocations_expires_at_idx" ON "user_token_revocations"("expires_at");
+
+-- AddForeignKey
+ALTER TABLE "revoked_tokens" ADD CONSTRAINT "revoked_tokens_user_id_fkey" FOREIGN KEY ("user_id") REFERENCES "users"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "user_token_revocations" ADD CONSTRAINT "user_token_revocations_user_id_fkey" FOREIGN KEY ("user_id") REFERENCES "users"("id") ON DELETE CASCADE ON UPDATE CASCADE;
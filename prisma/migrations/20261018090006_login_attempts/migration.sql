@@ -0,0 +1,13 @@
+-- CreateTable
+CREATE TABLE "login_attempts" (
+    "key" VARCHAR(150) NOT NULL,
+    "failures" INTEGER NOT NULL DEFAULT 0,
+    "window_start" TIMESTAMP(3) NOT NULL,
+    "locked_until" TIMESTAMP(3),
+    "updated_at" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "login_attempts_pkey" PRIMARY KEY ("key")
+);
+
+-- CreateIndex
+CREATE INDEX "login_attempts_updated_at_idx" ON "login_attempts"("updated_at");
@@ -0,0 +1,5 @@
+-- DropForeignKey
+ALTER TABLE "revoked_tokens" DROP CONSTRAINT "revoked_tokens_user_id_fkey";
+
+-- DropForeignKey
+ALTER TABLE "user_token_revocations" DROP CONSTRAINT "user_token_revocations_user_id_fkey";
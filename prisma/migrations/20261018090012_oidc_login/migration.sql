@@ -0,0 +1,40 @@
+-- CreateTable
+CREATE TABLE "user_identities" (
+    "id" SERIAL NOT NULL,
+    "user_id" INTEGER NOT NULL,
+    "provider" VARCHAR(50) NOT NULL,
+    "subject" VARCHAR(255) NOT NULL,
+    "email" VARCHAR(255),
+    "created_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "last_login_at" TIMESTAMP(3),
+
+    CONSTRAINT "user_identities_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "oidc_auth_requests" (
+    "id" SERIAL NOT NULL,
+    "state_hash" VARCHAR(64) NOT NULL,
+    "provider" VARCHAR(50) NOT NULL,
+    "code_verifier" VARCHAR(128) NOT NULL,
+    "nonce" VARCHAR(128) NOT NULL,
+    "expires_at" TIMESTAMP(3) NOT NULL,
+    "created_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "oidc_auth_requests_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "user_identities_user_id_idx" ON "user_identities"("user_id");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "user_identities_provider_subject_key" ON "user_identities"("provider", "subject");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "oidc_auth_requests_state_hash_key" ON "oidc_auth_requests"("state_hash");
+
+-- CreateIndex
+CREATE INDEX "oidc_auth_requests_expires_at_idx" ON "oidc_auth_requests"("expires_at");
+
+-- AddForeignKey
+ALTER TABLE "user_identities" ADD CONSTRAINT "user_identities_user_id_fkey" FOREIGN KEY ("user_id") REFERENCES "users"("id") ON DELETE CASCADE ON UPDATE CASCADE;
@@ -0,0 +1,6 @@
+-- AlterTable
+ALTER TABLE "users" ADD COLUMN     "disabled_at" TIMESTAMP(3),
+ADD COLUMN     "password_reset_required" BOOLEAN NOT NULL DEFAULT false;
+
+-- CreateIndex
+CREATE INDEX "users_last_login_idx" ON "users"("last_login");
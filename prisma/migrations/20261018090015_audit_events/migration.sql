@@ -0,0 +1,29 @@
+-- CreateTable
+CREATE TABLE "audit_events" (
+    "id" SERIAL NOT NULL,
+    "action" VARCHAR(100) NOT NULL,
+    "actor_id" INTEGER,
+    "target_type" VARCHAR(50),
+    "target_id" VARCHAR(100),
+    "ip" VARCHAR(45),
+    "user_agent" VARCHAR(255),
+    "before" JSONB,
+    "after" JSONB,
+    "changed_fields" TEXT[],
+    "metadata" JSONB,
+    "created_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "audit_events_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "audit_events_created_at_idx" ON "audit_events"("created_at");
+
+-- CreateIndex
+CREATE INDEX "audit_events_actor_id_idx" ON "audit_events"("actor_id");
+
+-- CreateIndex
+CREATE INDEX "audit_events_action_idx" ON "audit_events"("action");
+
+-- CreateIndex
+CREATE INDEX "audit_events_target_type_target_id_idx" ON "audit_events"("target_type", "target_id");
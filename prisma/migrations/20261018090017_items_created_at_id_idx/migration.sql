@@ -0,0 +1,5 @@
+-- DropIndex
+DROP INDEX "items_created_at_idx";
+
+-- CreateIndex
+CREATE INDEX "items_created_at_id_idx" ON "items"("created_at" DESC, "id" DESC);
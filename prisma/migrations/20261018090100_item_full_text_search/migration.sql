@@ -0,0 +1,17 @@
+-- Trigram matching for typo-tolerant search; also lets ILIKE '%term%' on name use an index
+CREATE EXTENSION IF NOT EXISTS "pg_trgm";
+
+-- AlterTable
+-- Kept up to date by PostgreSQL itself; Prisma only sees it as an unsupported column.
+-- Weights rank a match in the name above the description, and the description above the category.
+ALTER TABLE "items" ADD COLUMN "search_vector" tsvector GENERATED ALWAYS AS (
+    setweight(to_tsvector('english', coalesce("name", '')), 'A') ||
+    setweight(to_tsvector('english', coalesce("description", '')), 'B') ||
+    setweight(to_tsvector('english', coalesce("category", '')), 'C')
+) STORED;
+
+-- CreateIndex
+CREATE INDEX "items_search_vector_idx" ON "items" USING GIN ("search_vector");
+
+-- CreateIndex
+CREATE INDEX "items_name_trgm_idx" ON "items" USING GIN ("name" gin_trgm_ops);
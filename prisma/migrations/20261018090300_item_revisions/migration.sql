@@ -0,0 +1,42 @@
+-- CreateTable
+CREATE TABLE "item_revisions" (
+    "id" SERIAL NOT NULL,
+    "item_id" INTEGER NOT NULL,
+    "revision" INTEGER NOT NULL,
+    "editor_id" INTEGER,
+    "snapshot" JSONB NOT NULL,
+    "changes" JSONB NOT NULL,
+    "reverted_from" INTEGER,
+    "created_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "item_revisions_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "item_revisions_editor_id_idx" ON "item_revisions"("editor_id");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "item_revisions_item_id_revision_key" ON "item_revisions"("item_id", "revision");
+
+-- AddForeignKey
+ALTER TABLE "item_revisions" ADD CONSTRAINT "item_revisions_item_id_fkey" FOREIGN KEY ("item_id") REFERENCES "items"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "item_revisions" ADD CONSTRAINT "item_revisions_editor_id_fkey" FOREIGN KEY ("editor_id") REFERENCES "users"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- Existing items start their history at revision 1 with their current state.
+-- Who created them and what changed before now is unknown, so editor and changes stay empty.
+INSERT INTO "item_revisions" ("item_id", "revision", "editor_id", "snapshot", "changes", "created_at")
+SELECT
+    "id",
+    1,
+    NULL,
+    jsonb_build_object(
+        'name', "name",
+        'description', "description",
+        'price', trim_scale("price")::text,
+        'category', "category"
+    ),
+    '{}'::jsonb,
+    "updated_at"
+FROM "items";
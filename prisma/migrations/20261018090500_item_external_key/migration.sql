@@ -0,0 +1,5 @@
+-- AlterTable
+ALTER TABLE "items" ADD COLUMN     "external_key" VARCHAR(100);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "items_user_id_external_key_key" ON "items"("user_id", "external_key");
@@ -0,0 +1,154 @@
+-- CreateTable
+CREATE TABLE "categories" (
+    "id" SERIAL NOT NULL,
+    "name" VARCHAR(50) NOT NULL,
+    "slug" VARCHAR(60) NOT NULL,
+    "description" VARCHAR(500),
+    "parent_id" INTEGER,
+    "created_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updated_at" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "categories_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "categories_slug_key" ON "categories"("slug");
+
+-- CreateIndex
+CREATE INDEX "categories_parent_id_idx" ON "categories"("parent_id");
+
+-- AddForeignKey
+ALTER TABLE "categories" ADD CONSTRAINT "categories_parent_id_fkey" FOREIGN KEY ("parent_id") REFERENCES "categories"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AlterTable
+ALTER TABLE "items" ADD COLUMN     "category_id" INTEGER;
+
+-- Every distinct category string in use, current or in revision history, with the
+-- slug it normalizes to. Spellings that differ only in case, accents, spacing or punctuation
+-- ("Electronics", "electronics ") share a slug and so become one category. The slug is
+-- derived exactly like slugify() in categories.service.js: accents are stripped after
+-- NFKD normalization, then every run of other characters than a-z and 0-9 becomes "-".
+-- All-digit slugs would be taken for ids, so they get a "category-" prefix.
+CREATE TEMPORARY TABLE "category_spellings" AS
+SELECT
+    "category",
+    "name",
+    CASE
+        WHEN "slug" = '' THEN 'category-' || left(md5(lower(btrim("category"))), 8)
+        WHEN "slug" ~ '^[0-9]+$' THEN 'category-' || "slug"
+        ELSE "slug"
+    END AS "slug",
+    "uses"
+FROM (
+    SELECT
+        "category",
+        btrim(regexp_replace("category", '\s+', ' ', 'g')) AS "name",
+        btrim(regexp_replace(
+            lower(regexp_replace(normalize("category", NFKD), '[\u0300-\u036f]', '', 'g')),
+            '[^a-z0-9]+', '-', 'g'
+        ), '-') AS "slug",
+        sum("uses") AS "uses"
+    FROM (
+        SELECT "category", 1 AS "uses" FROM "items"
+        UNION ALL
+        SELECT "snapshot"->>'category', 0 FROM "item_revisions"
+    ) AS "used"
+    WHERE btrim("category") <> ''
+    GROUP BY "category"
+) AS "derived";
+
+-- Each category is named after its most common spelling among current items
+INSERT INTO "categories" ("name", "slug", "updated_at")
+SELECT DISTINCT ON ("slug") "name", "slug", CURRENT_TIMESTAMP
+FROM (
+    SELECT "slug", "name", sum("uses") AS "uses"
+    FROM "category_spellings"
+    GROUP BY "slug", "name"
+) AS "names"
+ORDER BY "slug", "uses" DESC, "name";
+
+UPDATE "items"
+SET "category_id" = "categories"."id"
+FROM "category_spellings"
+JOIN "categories" ON "categories"."slug" = "category_spellings"."slug"
+WHERE "category_spellings"."category" = "items"."category";
+
+-- Revision snapshots reference the category by id from now on, so reverts keep working.
+-- The recorded changes are history and keep the strings they were made with.
+UPDATE "item_revisions"
+SET "snapshot" = ("snapshot" - 'category') || jsonb_build_object('categoryId', (
+    SELECT "categories"."id"
+    FROM "category_spellings"
+    JOIN "categories" ON "categories"."slug" = "category_spellings"."slug"
+    WHERE "category_spellings"."category" = "item_revisions"."snapshot"->>'category'
+));
+
+DROP TABLE "category_spellings";
+
+-- The search vector is generated from the category column, so it has to go first
+DROP INDEX "items_search_vector_idx";
+
+-- AlterTable
+ALTER TABLE "items" DROP COLUMN "search_vector";
+
+-- DropIndex
+DROP INDEX "items_category_idx";
+
+-- AlterTable
+ALTER TABLE "items" DROP COLUMN "category";
+
+-- A generated column cannot read the category name from another table, so the search
+-- vector is now kept up to date by triggers: on items when the name, description or
+-- category changes, and on categories when one is renamed. The weights are unchanged.
+ALTER TABLE "items" ADD COLUMN "search_vector" tsvector;
+
+CREATE FUNCTION "items_search_vector"(item_name TEXT, item_description TEXT, category_name TEXT)
+RETURNS tsvector LANGUAGE sql IMMUTABLE AS $$
+    SELECT
+        setweight(to_tsvector('english', coalesce(item_name, '')), 'A') ||
+        setweight(to_tsvector('english', coalesce(item_description, '')), 'B') ||
+        setweight(to_tsvector('english', coalesce(category_name, '')), 'C')
+$$;
+
+CREATE FUNCTION "items_set_search_vector"() RETURNS trigger LANGUAGE plpgsql AS $$
+BEGIN
+    NEW."search_vector" := "items_search_vector"(
+        NEW."name",
+        NEW."description",
+        (SELECT "name" FROM "categories" WHERE "id" = NEW."category_id")
+    );
+    RETURN NEW;
+END;
+$$;
+
+CREATE TRIGGER "items_search_vector_trigger"
+BEFORE INSERT OR UPDATE OF "name", "description", "category_id" ON "items"
+FOR EACH ROW EXECUTE FUNCTION "items_set_search_vector"();
+
+CREATE FUNCTION "categories_refresh_search_vector"() RETURNS trigger LANGUAGE plpgsql AS $$
+BEGIN
+    UPDATE "items"
+    SET "search_vector" = "items_search_vector"("name", "description", NEW."name")
+    WHERE "category_id" = NEW."id";
+    RETURN NULL;
+END;
+$$;
+
+CREATE TRIGGER "categories_search_vector_trigger"
+AFTER UPDATE OF "name" ON "categories"
+FOR EACH ROW WHEN (OLD."name" IS DISTINCT FROM NEW."name")
+EXECUTE FUNCTION "categories_refresh_search_vector"();
+
+UPDATE "items"
+SET "search_vector" = "items_search_vector"("name", "description", (
+    SELECT "categories"."name" FROM "categories" WHERE "categories"."id" = "items"."category_id"
+));
+
+-- CreateIndex
+CREATE INDEX "items_search_vector_idx" ON "items" USING GIN ("search_vector");
+
+-- CreateIndex
+CREATE INDEX "items_category_id_idx" ON "items"("category_id");
+
+-- AddForeignKey
+ALTER TABLE "items" ADD CONSTRAINT "items_category_id_fkey" FOREIGN KEY ("category_id") REFERENCES "categories"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
@@ -0,0 +1,42 @@
+require('dotenv').config();
+const prismaClient = require('../src/common/database/prisma.client');
+const PasswordHasher = require('../src/common/utils/password-hasher');
+const logger = require('../src/common/utils/logger');
+
+/**
+ * Creates the initial admin account, or promotes it if the user already exists.
+ * Configure with SEED_ADMIN_USERNAME, SEED_ADMIN_EMAIL and SEED_ADMIN_PASSWORD.
+ */
+const seed = async () => {
+  const username = process.env.SEED_ADMIN_USERNAME || 'admin';
+  const email = process.env.SEED_ADMIN_EMAIL || 'admin@example.com';
+  const password = process.env.SEED_ADMIN_PASSWORD;
+
+  if (!password) {
+    throw new Error('SEED_ADMIN_PASSWORD environment variable is not set');
+  }
+
+  const prisma = prismaClient.getClient();
+
+  const admin = await prisma.user.upsert({
+    where: { username },
+    create: {
+      username,
+      email,
+      password: await PasswordHasher.hash(password),
+      role: 'ADMIN',
+      emailVerified: true,
+      emailVerifiedAt: new Date(),
+    },
+    update: { role: 'ADMIN' },
+  });
+
+  logger.info(`Seeded admin user: ${admin.username}`);
+};
+
+seed()
+  .catch((error) => {
+    logger.error('Seeding failed:', error);
+    process.exitCode = 1;
+  })
+  .finally(() => prismaClient.disconnect());
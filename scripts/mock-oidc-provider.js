@@ -0,0 +1,129 @@
+const crypto = require('crypto');
+const express = require('express');
+const jwt = require('jsonwebtoken');
+
+/**
+ * Local OpenID Connect provider for development and testing. It signs every
+ * user in without a login page: the authorize endpoint immediately redirects
+ * back with a code for the email given as ?login_hint= (or MOCK_OIDC_EMAIL).
+ *
+ *   OIDC_PROVIDERS=mock
+ *   OIDC_MOCK_ISSUER=http://localhost:4000
+ *   OIDC_MOCK_CLIENT_ID=local-client
+ *   OIDC_MOCK_CLIENT_SECRET=local-secret
+ */
+const port = parseInt(process.env.MOCK_OIDC_PORT, 10) || 4000;
+const issuer = process.env.MOCK_OIDC_ISSUER || `http://localhost:${port}`;
+const clientId = process.env.MOCK_OIDC_CLIENT_ID || 'local-client';
+const clientSecret = process.env.MOCK_OIDC_CLIENT_SECRET || 'local-secret';
+const defaultEmail = process.env.MOCK_OIDC_EMAIL || 'john@example.com';
+const emailVerified = process.env.MOCK_OIDC_EMAIL_VERIFIED !== 'false';
+
+const { privateKey, publicKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+const kid = crypto.randomBytes(8).toString('hex');
+
+// Authorization codes are single use and expire after a minute
+const codes = new Map();
+
+const app = express();
+app.use(express.urlencoded({ extended: false }));
+
+const tokenError = (res, error, status = 400) => res.status(status).json({ error });
+
+app.get('/.well-known/openid-configuration', (req, res) => {
+  res.json({
+    issuer,
+    authorization_endpoint: `${issuer}/authorize`,
+    token_endpoint: `${issuer}/token`,
+    jwks_uri: `${issuer}/jwks`,
+    response_types_supported: ['code'],
+    subject_types_supported: ['public'],
+    id_token_signing_alg_values_supported: ['RS256'],
+    code_challenge_methods_supported: ['S256'],
+    token_endpoint_auth_methods_supported: ['client_secret_basic', 'client_secret_post'],
+  });
+});
+
+app.get('/jwks', (req, res) => {
+  res.json({ keys: [{ ...publicKey.export({ format: 'jwk' }), kid, alg: 'RS256', use: 'sig' }] });
+});
+
+app.get('/authorize', (req, res) => {
+  const { client_id: requestClientId, redirect_uri: redirectUri, state, nonce } = req.query;
+
+  if (requestClientId !== clientId || !redirectUri) {
+    return res.status(400).send('Unknown client or missing redirect_uri');
+  }
+
+  const redirect = new URL(redirectUri);
+  redirect.searchParams.set('state', state || '');
+
+  if (req.query.code_challenge_method !== 'S256' || !req.query.code_challenge) {
+    redirect.searchParams.set('error', 'invalid_request');
+    return res.redirect(redirect.toString());
+  }
+
+  const code = crypto.randomBytes(24).toString('base64url');
+  codes.set(code, {
+    email: req.query.login_hint || defaultEmail,
+    nonce,
+    redirectUri,
+    codeChallenge: req.query.code_challenge,
+    expiresAt: Date.now() + 60 * 1000,
+  });
+
+  redirect.searchParams.set('code', code);
+  res.redirect(redirect.toString());
+});
+
+app.post('/token', (req, res) => {
+  let [id, secret] = [req.body.client_id, req.body.client_secret];
+  const basic = /^Basic (.+)$/.exec(req.get('authorization') || '');
+  if (basic) {
+    [id, secret] = Buffer.from(basic[1], 'base64').toString().split(':').map(decodeURIComponent);
+  }
+
+  if (id !== clientId || secret !== clientSecret) {
+    return tokenError(res, 'invalid_client', 401);
+  }
+
+  const grant = codes.get(req.body.code);
+  codes.delete(req.body.code);
+
+  if (req.body.grant_type !== 'authorization_code' || !grant || grant.expiresAt < Date.now()) {
+    return tokenError(res, 'invalid_grant');
+  }
+
+  const challenge = crypto.createHash('sha256').update(req.body.code_verifier || '').digest('base64url');
+  if (grant.redirectUri !== req.body.redirect_uri || challenge !== grant.codeChallenge) {
+    return tokenError(res, 'invalid_grant');
+  }
+
+  const idToken = jwt.sign(
+    {
+      email: grant.email,
+      email_verified: emailVerified,
+      ...(grant.nonce && { nonce: grant.nonce }),
+    },
+    privateKey,
+    {
+      algorithm: 'RS256',
+      keyid: kid,
+      issuer,
+      audience: clientId,
+      subject: crypto.createHash('sha256').update(grant.email.toLowerCase()).digest('hex').slice(0, 24),
+      expiresIn: '5m',
+    }
+  );
+
+  res.json({
+    access_token: crypto.randomBytes(24).toString('base64url'),
+    token_type: 'Bearer',
+    expires_in: 300,
+    id_token: idToken,
+  });
+});
+
+app.listen(port, () => {
+  console.log(`Mock OIDC provider running at ${issuer} (client_id=${clientId})`);
+});
@@ -0,0 +1,26 @@
+// Settings with no safe default, and what each one is needed for
+const REQUIRED = {
+  ENCRYPTION_KEY: 'encrypt two-factor secrets',
+  EMAIL_VERIFICATION_SECRET: 'sign email verification links',
+};
+
+class Environment {
+  /**
+   * Fails server startup when a required setting is missing, so a misconfigured
+   * deployment is caught before it serves requests rather than on first use.
+   */
+  static validate() {
+    Object.keys(REQUIRED).forEach((name) => Environment.require(name));
+  }
+
+  static require(name) {
+    const value = process.env[name];
+    if (!value) {
+      throw new Error(`${name} must be set to ${REQUIRED[name]}`);
+    }
+
+    return value;
+  }
+}
+
+module.exports = Environment;
@@ -24,6 +24,11 @@ const options = {
                     scheme: 'bearer',
                     bearerFormat: 'JWT',
                 },
+                apiKeyAuth: {
+                    type: 'apiKey',
+                    in: 'header',
+                    name: 'X-API-Key',
+                },
             },
         },
     },
@@ -0,0 +1,18 @@
+const ROLES = Object.freeze({
+  USER: 'USER',
+  MODERATOR: 'MODERATOR',
+  ADMIN: 'ADMIN',
+});
+
+/**
+ * Roles allowed to act on resources owned by other users.
+ */
+const ITEM_MANAGER_ROLES = Object.freeze({
+  update: [ROLES.MODERATOR, ROLES.ADMIN],
+  delete: [ROLES.ADMIN],
+});
+
+module.exports = {
+  ROLES,
+  ITEM_MANAGER_ROLES,
+};
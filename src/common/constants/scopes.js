@@ -0,0 +1,11 @@
+/**
+ * Scopes that can be granted to API keys. JWT sessions implicitly hold every scope.
+ */
+const SCOPES = Object.freeze({
+  ITEMS_READ: 'items:read',
+  ITEMS_WRITE: 'items:write',
+});
+
+module.exports = {
+  SCOPES,
+};
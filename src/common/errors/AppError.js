@@ -1,8 +1,16 @@
 class AppError extends Error {
-  constructor(message, statusCode = 500, isOperational = true) {
+  /**
+   * @param {string} message
+   * @param {number} statusCode
+   * @param {boolean} isOperational
+   * @param {{ details?: object, headers?: object }} options extra response body details and headers
+   */
+  constructor(message, statusCode = 500, isOperational = true, options = {}) {
     super(message);
     this.statusCode = statusCode;
     this.isOperational = isOperational;
+    this.details = options.details;
+    this.headers = options.headers;
     Error.captureStackTrace(this, this.constructor);
   }
 }
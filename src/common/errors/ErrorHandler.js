@@ -78,9 +78,14 @@ class ErrorHandler {
 
     // AppError (operational errors)
     if (err instanceof AppError && err.isOperational) {
+      if (err.headers) {
+        res.set(err.headers);
+      }
+
       return res.status(err.statusCode).json({
         success: false,
         message: err.message,
+        ...(err.details && { details: err.details }),
       });
     }
 
@@ -0,0 +1,83 @@
+const jwt = require('jsonwebtoken');
+const KeySet = require('./keyset');
+const Duration = require('../utils/duration');
+const logger = require('../utils/logger');
+
+const createKeySet = () => {
+  const file = process.env.JWT_KEYSET_FILE;
+  if (!file) {
+    return null;
+  }
+
+  // Retired keys must outlive every token they signed, so default to the access token lifetime
+  const gracePeriod = Duration.toMilliseconds(
+    process.env.JWT_KEY_GRACE_PERIOD,
+    process.env.JWT_EXPIRES_IN || '15m'
+  );
+
+  const keySet = KeySet.fromFile(file, gracePeriod);
+  logger.info(`JWT signing with ${keySet.getSigningKey().alg} key ${keySet.getSigningKey().kid}`);
+
+  return keySet;
+};
+
+/**
+ * Signs and verifies the API's own tokens. Uses the asymmetric keyset from
+ * JWT_KEYSET_FILE (RS256/ES256 with kid headers) when configured, otherwise
+ * falls back to HS256 with JWT_SECRET.
+ */
+class JwtService {
+  constructor(keySet) {
+    this.keySet = keySet;
+  }
+
+  sign(payload, options = {}) {
+    if (!this.keySet) {
+      return jwt.sign(payload, process.env.JWT_SECRET, { ...options, algorithm: 'HS256' });
+    }
+
+    const key = this.keySet.getSigningKey();
+    return jwt.sign(payload, key.privateKey, { ...options, algorithm: key.alg, keyid: key.kid });
+  }
+
+  /**
+   * Throws the same errors as jsonwebtoken.verify (JsonWebTokenError, TokenExpiredError).
+   */
+  verify(token, options = {}) {
+    if (!this.keySet) {
+      return jwt.verify(token, process.env.JWT_SECRET, { ...options, algorithms: ['HS256'] });
+    }
+
+    const decoded = jwt.decode(token, { complete: true });
+    if (!decoded) {
+      throw new jwt.JsonWebTokenError('jwt malformed');
+    }
+
+    const key = this.keySet.getVerificationKey(decoded.header.kid);
+    if (!key) {
+      throw new jwt.JsonWebTokenError('unknown or expired signing key');
+    }
+
+    return jwt.verify(token, key.publicKey, { ...options, algorithms: [key.alg] });
+  }
+
+  /**
+   * Public keys for GET /.well-known/jwks.json. Empty in HS256 mode, since the secret is never published.
+   */
+  getJwks() {
+    if (!this.keySet) {
+      return { keys: [] };
+    }
+
+    return {
+      keys: this.keySet.getPublishedKeys().map((key) => ({
+        ...key.publicKey.export({ format: 'jwk' }),
+        kid: key.kid,
+        alg: key.alg,
+        use: 'sig',
+      })),
+    };
+  }
+}
+
+module.exports = new JwtService(createKeySet());
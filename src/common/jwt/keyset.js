@@ -0,0 +1,115 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const STATUSES = ['active', 'next', 'retired'];
+
+const detectAlgorithm = (keyObject) => {
+  if (keyObject.asymmetricKeyType === 'rsa') {
+    return 'RS256';
+  }
+
+  if (keyObject.asymmetricKeyType === 'ec' && keyObject.asymmetricKeyDetails.namedCurve === 'prime256v1') {
+    return 'ES256';
+  }
+
+  throw new Error(`Unsupported JWT key type: ${keyObject.asymmetricKeyType}`);
+};
+
+/**
+ * Asymmetric signing keys loaded from a JSON keyset file:
+ *
+ *   { "keys": [
+ *     { "kid": "2026-10", "status": "active", "privateKeyFile": "2026-10.pem" },
+ *     { "kid": "2026-04", "status": "retired", "retiredAt": "2026-10-01T00:00:00Z", "publicKeyFile": "2026-04.pub.pem" }
+ *   ] }
+ *
+ * Exactly one key is "active" and signs new tokens. "next" keys are published and
+ * accepted ahead of a rotation. "retired" keys keep verifying until retiredAt plus
+ * the grace period. Key file paths are relative to the keyset file.
+ */
+class KeySet {
+  constructor(keys, gracePeriod) {
+    this.keys = keys;
+    this.gracePeriod = gracePeriod;
+
+    const activeKeys = keys.filter((key) => key.status === 'active');
+    if (activeKeys.length !== 1) {
+      throw new Error(`JWT keyset must contain exactly one active key, found ${activeKeys.length}`);
+    }
+
+    this.signingKey = activeKeys[0];
+    if (!this.signingKey.privateKey) {
+      throw new Error(`Active JWT key ${this.signingKey.kid} has no private key`);
+    }
+  }
+
+  static fromFile(file, gracePeriod) {
+    const baseDir = path.dirname(path.resolve(file));
+    const { keys } = JSON.parse(fs.readFileSync(file, 'utf8'));
+
+    if (!Array.isArray(keys)) {
+      throw new Error(`JWT keyset ${file} must have a "keys" array`);
+    }
+
+    const seen = new Set();
+
+    return new KeySet(keys.map((entry) => {
+      if (!entry.kid || seen.has(entry.kid)) {
+        throw new Error(`JWT keys need a unique kid, got: ${entry.kid}`);
+      }
+      seen.add(entry.kid);
+
+      const status = entry.status || 'active';
+      if (!STATUSES.includes(status)) {
+        throw new Error(`Unknown status for JWT key ${entry.kid}: ${status}`);
+      }
+
+      const retiredAt = entry.retiredAt ? new Date(entry.retiredAt) : null;
+      if (status === 'retired' && (!retiredAt || Number.isNaN(retiredAt.getTime()))) {
+        throw new Error(`Retired JWT key ${entry.kid} needs a valid retiredAt`);
+      }
+
+      const readKey = (keyFile) => fs.readFileSync(path.resolve(baseDir, keyFile), 'utf8');
+      const privateKey = entry.privateKeyFile ? crypto.createPrivateKey(readKey(entry.privateKeyFile)) : null;
+      const publicKey = privateKey
+        ? crypto.createPublicKey(privateKey)
+        : entry.publicKeyFile && crypto.createPublicKey(readKey(entry.publicKeyFile));
+
+      if (!publicKey) {
+        throw new Error(`JWT key ${entry.kid} needs a privateKeyFile or publicKeyFile`);
+      }
+
+      return {
+        kid: entry.kid,
+        alg: detectAlgorithm(publicKey),
+        status,
+        retiredAt,
+        privateKey,
+        publicKey,
+      };
+    }), gracePeriod);
+  }
+
+  getSigningKey() {
+    return this.signingKey;
+  }
+
+  /**
+   * Returns the key for a token's kid, or null when it is unknown or past its grace period.
+   */
+  getVerificationKey(kid, now = Date.now()) {
+    const key = this.keys.find((candidate) => candidate.kid === kid);
+    return key && this.isUsable(key, now) ? key : null;
+  }
+
+  getPublishedKeys(now = Date.now()) {
+    return this.keys.filter((key) => this.isUsable(key, now));
+  }
+
+  isUsable(key, now) {
+    return key.status !== 'retired' || key.retiredAt.getTime() + this.gracePeriod > now;
+  }
+}
+
+module.exports = KeySet;
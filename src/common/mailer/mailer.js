@@ -0,0 +1,52 @@
+const ConsoleTransport = require('./transports/console.transport');
+const FileTransport = require('./transports/file.transport');
+const SmtpTransport = require('./transports/smtp.transport');
+const logger = require('../utils/logger');
+
+const createTransport = () => {
+  const driver = process.env.MAIL_TRANSPORT || 'console';
+
+  switch (driver) {
+    case 'console':
+      return new ConsoleTransport();
+    case 'file':
+      return new FileTransport(process.env.MAIL_FILE_DIR || 'mail-outbox');
+    case 'smtp':
+      return new SmtpTransport({
+        host: process.env.SMTP_HOST,
+        port: parseInt(process.env.SMTP_PORT, 10) || 587,
+        secure: process.env.SMTP_SECURE === 'true',
+        user: process.env.SMTP_USER,
+        password: process.env.SMTP_PASSWORD,
+      });
+    default:
+      throw new Error(`Unknown MAIL_TRANSPORT: ${driver}`);
+  }
+};
+
+class Mailer {
+  constructor(transport) {
+    this.transport = transport;
+    this.from = process.env.MAIL_FROM || 'no-reply@localhost';
+  }
+
+  async send({ to, subject, text, html }) {
+    try {
+      const result = await this.transport.send({
+        from: this.from,
+        to,
+        subject,
+        text,
+        ...(html && { html }),
+      });
+
+      logger.debug(`Mail sent to ${to}: ${subject}`);
+      return result;
+    } catch (error) {
+      logger.error('Error sending mail:', error);
+      throw error;
+    }
+  }
+}
+
+module.exports = new Mailer(createTransport());
@@ -0,0 +1,13 @@
+const logger = require('../../utils/logger');
+
+/**
+ * Prints outgoing mail to the log instead of delivering it.
+ */
+class ConsoleTransport {
+  async send(message) {
+    logger.info(`Mail to ${message.to}: ${message.subject}\n\n${message.text}`);
+    return { id: null };
+  }
+}
+
+module.exports = ConsoleTransport;
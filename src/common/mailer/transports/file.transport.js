@@ -0,0 +1,28 @@
+const fs = require('fs/promises');
+const path = require('path');
+const crypto = require('crypto');
+
+/**
+ * Writes each outgoing message as a JSON file, handy for inspecting links locally.
+ */
+class FileTransport {
+  constructor(directory) {
+    this.directory = path.resolve(directory);
+  }
+
+  async send(message) {
+    await fs.mkdir(this.directory, { recursive: true });
+
+    const id = `${Date.now()}-${crypto.randomBytes(4).toString('hex')}`;
+    const filePath = path.join(this.directory, `${id}.json`);
+
+    await fs.writeFile(
+      filePath,
+      JSON.stringify({ ...message, sentAt: new Date().toISOString() }, null, 2)
+    );
+
+    return { id, path: filePath };
+  }
+}
+
+module.exports = FileTransport;
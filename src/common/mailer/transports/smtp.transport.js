@@ -0,0 +1,24 @@
+const nodemailer = require('nodemailer');
+
+class SmtpTransport {
+  constructor(options) {
+    this.transporter = nodemailer.createTransport({
+      host: options.host,
+      port: options.port,
+      secure: options.secure,
+      ...(options.user && {
+        auth: {
+          user: options.user,
+          pass: options.password,
+        },
+      }),
+    });
+  }
+
+  async send(message) {
+    const info = await this.transporter.sendMail(message);
+    return { id: info.messageId };
+  }
+}
+
+module.exports = SmtpTransport;
@@ -1,11 +1,26 @@
-const jwt = require('jsonwebtoken');
+const jwtService = require('../jwt/jwt');
 const logger = require('../utils/logger');
 const AppError = require('../errors/AppError');
+const revocationStore = require('../stores/revocation.store');
+const ApiKeysService = require('../../features/api-keys/api-keys.service');
+const SessionService = require('../../features/auth/session.service');
+
+const apiKeysService = new ApiKeysService();
+const sessionService = new SessionService();
 
 class AuthMiddleware {
-  static authenticate(req, res, next) {
+  /**
+   * Accepts a JWT access token (Authorization: Bearer) or an API key
+   * (X-API-Key, or Authorization: Bearer whh_...). Sets req.user and req.auth.
+   */
+  static async authenticate(req, res, next) {
     try {
       const authHeader = req.headers.authorization;
+      const apiKeyHeader = req.headers['x-api-key'];
+
+      if (apiKeyHeader) {
+        return await AuthMiddleware.authenticateApiKey(req, apiKeyHeader, next);
+      }
 
       if (!authHeader || !authHeader.startsWith('Bearer ')) {
         throw new AppError('No token provided. Authorization denied.', 401);
@@ -17,9 +32,33 @@ class AuthMiddleware {
         throw new AppError('Invalid token format.', 401);
       }
 
-      const decoded = jwt.verify(token, process.env.JWT_SECRET);
+      if (ApiKeysService.isApiKey(token)) {
+        return await AuthMiddleware.authenticateApiKey(req, token, next);
+      }
+
+      const decoded = jwtService.verify(token);
+
+      // Purpose-bound tokens (email verification, 2FA challenges) are not access tokens
+      if (!decoded.jti || !decoded.sid || decoded.purpose) {
+        throw new AppError('Invalid token.', 401);
+      }
+
+      const isRevoked = await revocationStore.isRevoked({
+        jti: decoded.jti,
+        userId: decoded.id,
+        issuedAt: new Date(decoded.iat * 1000),
+      });
+
+      if (isRevoked) {
+        throw new AppError('Token has been revoked.', 401);
+      }
+
+      const session = await sessionService.assertActive(decoded.sid, decoded.id);
+      AuthMiddleware.assertAccountEnabled(session.user);
+
       req.user = decoded;
-      
+      req.auth = { type: 'jwt', scopes: null };
+
       logger.debug(`User authenticated: ${decoded.username}`);
       next();
     } catch (error) {
@@ -40,6 +79,83 @@ class AuthMiddleware {
       return next(new AppError('Server error during authentication.', 500));
     }
   }
+
+  static async authenticateApiKey(req, key, next) {
+    const { user, keyId, scopes } = await apiKeysService.authenticate(key);
+    AuthMiddleware.assertAccountEnabled(user);
+
+    req.user = user;
+    req.auth = { type: 'api_key', keyId, scopes };
+
+    logger.debug(`User authenticated with API key ${keyId}: ${user.username}`);
+    next();
+  }
+
+  static assertAccountEnabled(user) {
+    if (user.disabledAt) {
+      throw new AppError('This account has been disabled.', 403);
+    }
+  }
+
+  /**
+   * Requires the API key to hold the scope. JWT sessions hold every scope.
+   * Must run after authenticate.
+   */
+  static requireScope(scope) {
+    return (req, res, next) => {
+      if (req.auth && req.auth.type === 'api_key' && !req.auth.scopes.includes(scope)) {
+        return next(new AppError(`API key is missing the required scope: ${scope}`, 403));
+      }
+
+      next();
+    };
+  }
+
+  /**
+   * For account-level routes that must only be reached from an interactive session.
+   */
+  static rejectApiKeys(req, res, next) {
+    if (req.auth && req.auth.type === 'api_key') {
+      return next(new AppError('API keys are not accepted for this endpoint.', 403));
+    }
+
+    next();
+  }
+
+  /**
+   * Restricts a route to the given roles. Must run after authenticate.
+   *
+   * @example router.delete('/:id', AuthMiddleware.authenticate, AuthMiddleware.authorize(ROLES.ADMIN), handler)
+   */
+  static authorize(...roles) {
+    return (req, res, next) => {
+      if (!req.user) {
+        return next(new AppError('No token provided. Authorization denied.', 401));
+      }
+
+      if (!roles.includes(req.user.role)) {
+        return next(new AppError('You do not have permission to perform this action.', 403));
+      }
+
+      next();
+    };
+  }
+
+  /**
+   * Blocks users who have not verified their email yet. Must run after authenticate.
+   * Disabled when REQUIRE_EMAIL_VERIFICATION=false.
+   */
+  static requireVerifiedEmail(req, res, next) {
+    if (process.env.REQUIRE_EMAIL_VERIFICATION === 'false') {
+      return next();
+    }
+
+    if (!req.user || !req.user.emailVerified) {
+      return next(new AppError('Please verify your email address to perform this action.', 403));
+    }
+
+    next();
+  }
 }
 
 module.exports = AuthMiddleware;
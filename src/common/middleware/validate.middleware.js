@@ -1,11 +1,15 @@
 const AppError = require('../errors/AppError');
 
 class ValidateMiddleware {
-  static validate(schema) {
+  /**
+   * Unknown keys are dropped by default; pass { stripUnknown: false } to reject them instead.
+   */
+  static validate(schema, source = 'body', options = {}) {
     return (req, res, next) => {
-      const { error, value } = schema.validate(req.body, {
+      const { error, value } = schema.validate(req[source], {
         abortEarly: false,
         stripUnknown: true,
+        ...options,
       });
 
       if (error) {
@@ -15,7 +19,7 @@ class ValidateMiddleware {
         return next(new AppError(errorMessage, 400));
       }
 
-      req.body = value;
+      req[source] = value;
       next();
     };
   }
@@ -0,0 +1,17 @@
+const MemoryLoginAttemptStore = require('./memory-login-attempt.store');
+const PrismaLoginAttemptStore = require('./prisma-login-attempt.store');
+
+const createStore = () => {
+  const driver = process.env.LOGIN_ATTEMPT_STORE || 'database';
+
+  switch (driver) {
+    case 'memory':
+      return new MemoryLoginAttemptStore();
+    case 'database':
+      return new PrismaLoginAttemptStore();
+    default:
+      throw new Error(`Unknown LOGIN_ATTEMPT_STORE: ${driver}`);
+  }
+};
+
+module.exports = createStore();
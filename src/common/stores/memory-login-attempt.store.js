@@ -0,0 +1,55 @@
+/**
+ * Process-local failed login counters. Each instance keeps its own counts.
+ */
+class MemoryLoginAttemptStore {
+  constructor() {
+    this.attempts = new Map();
+  }
+
+  async get(key) {
+    return this.attempts.get(key) || null;
+  }
+
+  async recordFailure(key, windowMs) {
+    const now = Date.now();
+    const current = this.attempts.get(key);
+
+    const record = current && current.windowStart.getTime() > now - windowMs
+      ? { ...current, failures: current.failures + 1 }
+      : { failures: 1, windowStart: new Date(now), lockedUntil: current ? current.lockedUntil : null };
+
+    record.updatedAt = new Date(now);
+    this.attempts.set(key, record);
+    return record;
+  }
+
+  async lock(key, lockedUntil) {
+    const current = this.attempts.get(key);
+    if (current) {
+      current.lockedUntil = lockedUntil;
+    }
+  }
+
+  async reset(key) {
+    this.attempts.delete(key);
+  }
+
+  async prune(windowMs) {
+    const now = Date.now();
+    let removed = 0;
+
+    for (const [key, record] of this.attempts) {
+      const windowExpired = record.updatedAt.getTime() <= now - windowMs;
+      const lockExpired = !record.lockedUntil || record.lockedUntil.getTime() <= now;
+
+      if (windowExpired && lockExpired) {
+        this.attempts.delete(key);
+        removed += 1;
+      }
+    }
+
+    return removed;
+  }
+}
+
+module.exports = MemoryLoginAttemptStore;
@@ -0,0 +1,58 @@
+/**
+ * Process-local revocation store. Suitable for development and single-instance
+ * deployments; revocations are lost on restart.
+ */
+class MemoryRevocationStore {
+  constructor() {
+    this.tokens = new Map();
+    this.users = new Map();
+  }
+
+  async revokeToken(jti, userId, expiresAt) {
+    this.tokens.set(jti, expiresAt.getTime());
+  }
+
+  async revokeUserTokens(userId, revokedBefore, expiresAt) {
+    this.users.set(userId, {
+      revokedBefore: revokedBefore.getTime(),
+      expiresAt: expiresAt.getTime(),
+    });
+  }
+
+  async isRevoked({ jti, userId, issuedAt }) {
+    const now = Date.now();
+
+    const tokenExpiry = this.tokens.get(jti);
+    if (tokenExpiry !== undefined && tokenExpiry > now) {
+      return true;
+    }
+
+    const userRevocation = this.users.get(userId);
+    return !!userRevocation
+      && userRevocation.expiresAt > now
+      && issuedAt.getTime() < userRevocation.revokedBefore;
+  }
+
+  async prune() {
+    const now = Date.now();
+    let removed = 0;
+
+    for (const [jti, expiresAt] of this.tokens) {
+      if (expiresAt <= now) {
+        this.tokens.delete(jti);
+        removed += 1;
+      }
+    }
+
+    for (const [userId, revocation] of this.users) {
+      if (revocation.expiresAt <= now) {
+        this.users.delete(userId);
+        removed += 1;
+      }
+    }
+
+    return removed;
+  }
+}
+
+module.exports = MemoryRevocationStore;
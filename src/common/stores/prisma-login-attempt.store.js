@@ -0,0 +1,97 @@
+const prismaClient = require('../database/prisma.client');
+const logger = require('../utils/logger');
+
+/**
+ * Postgres-backed failed login counters, consistent across API instances.
+ */
+class PrismaLoginAttemptStore {
+  constructor() {
+    this.prisma = prismaClient.getClient();
+  }
+
+  async get(key) {
+    try {
+      return await this.prisma.loginAttempt.findUnique({
+        where: { key },
+      });
+    } catch (error) {
+      logger.error('Error in get login attempt:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Increments the counter atomically, starting a new window when the previous one expired.
+   */
+  async recordFailure(key, windowMs) {
+    try {
+      const now = new Date();
+      const windowCutoff = new Date(now.getTime() - windowMs);
+
+      const [record] = await this.prisma.$queryRaw`
+        INSERT INTO login_attempts (key, failures, window_start, updated_at)
+        VALUES (${key}, 1, ${now}, ${now})
+        ON CONFLICT (key) DO UPDATE SET
+          failures = CASE
+            WHEN login_attempts.window_start <= ${windowCutoff} THEN 1
+            ELSE login_attempts.failures + 1
+          END,
+          window_start = CASE
+            WHEN login_attempts.window_start <= ${windowCutoff} THEN ${now}
+            ELSE login_attempts.window_start
+          END,
+          updated_at = ${now}
+        RETURNING failures, window_start AS "windowStart", locked_until AS "lockedUntil"
+      `;
+
+      return record;
+    } catch (error) {
+      logger.error('Error in recordFailure:', error);
+      throw error;
+    }
+  }
+
+  async lock(key, lockedUntil) {
+    try {
+      await this.prisma.loginAttempt.updateMany({
+        where: { key },
+        data: { lockedUntil },
+      });
+    } catch (error) {
+      logger.error('Error in lock login attempt:', error);
+      throw error;
+    }
+  }
+
+  async reset(key) {
+    try {
+      await this.prisma.loginAttempt.deleteMany({
+        where: { key },
+      });
+    } catch (error) {
+      logger.error('Error in reset login attempt:', error);
+      throw error;
+    }
+  }
+
+  async prune(windowMs) {
+    try {
+      const now = new Date();
+      const { count } = await this.prisma.loginAttempt.deleteMany({
+        where: {
+          updatedAt: { lte: new Date(now.getTime() - windowMs) },
+          OR: [
+            { lockedUntil: null },
+            { lockedUntil: { lte: now } },
+          ],
+        },
+      });
+      return count;
+    } catch (error) {
+      logger.error('Error in prune login attempts:', error);
+      throw error;
+    }
+  }
+}
+
+module.exports = PrismaLoginAttemptStore;
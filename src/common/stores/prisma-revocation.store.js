@@ -0,0 +1,81 @@
+const prismaClient = require('../database/prisma.client');
+const logger = require('../utils/logger');
+
+/**
+ * Postgres-backed revocation store shared by every API instance.
+ */
+class PrismaRevocationStore {
+  constructor() {
+    this.prisma = prismaClient.getClient();
+  }
+
+  async revokeToken(jti, userId, expiresAt) {
+    try {
+      await this.prisma.revokedToken.upsert({
+        where: { jti },
+        create: { jti, userId, expiresAt },
+        update: {},
+      });
+    } catch (error) {
+      logger.error('Error in revokeToken:', error);
+      throw error;
+    }
+  }
+
+  async revokeUserTokens(userId, revokedBefore, expiresAt) {
+    try {
+      await this.prisma.userTokenRevocation.upsert({
+        where: { userId },
+        create: { userId, revokedBefore, expiresAt },
+        update: { revokedBefore, expiresAt },
+      });
+    } catch (error) {
+      logger.error('Error in revokeUserTokens:', error);
+      throw error;
+    }
+  }
+
+  async isRevoked({ jti, userId, issuedAt }) {
+    try {
+      const now = new Date();
+
+      const [revokedToken, userRevocation] = await Promise.all([
+        this.prisma.revokedToken.findFirst({
+          where: { jti, expiresAt: { gt: now } },
+          select: { jti: true },
+        }),
+        this.prisma.userTokenRevocation.findFirst({
+          where: {
+            userId,
+            expiresAt: { gt: now },
+            revokedBefore: { gt: issuedAt },
+          },
+          select: { userId: true },
+        }),
+      ]);
+
+      return !!revokedToken || !!userRevocation;
+    } catch (error) {
+      logger.error('Error in isRevoked:', error);
+      throw error;
+    }
+  }
+
+  async prune() {
+    try {
+      const now = new Date();
+
+      const [tokens, users] = await Promise.all([
+        this.prisma.revokedToken.deleteMany({ where: { expiresAt: { lte: now } } }),
+        this.prisma.userTokenRevocation.deleteMany({ where: { expiresAt: { lte: now } } }),
+      ]);
+
+      return tokens.count + users.count;
+    } catch (error) {
+      logger.error('Error in prune revocations:', error);
+      throw error;
+    }
+  }
+}
+
+module.exports = PrismaRevocationStore;
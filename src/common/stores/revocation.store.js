@@ -0,0 +1,19 @@
+const MemoryRevocationStore = require('./memory-revocation.store');
+const PrismaRevocationStore = require('./prisma-revocation.store');
+
+const createStore = () => {
+  const driver = process.env.TOKEN_REVOCATION_STORE || 'database';
+
+  switch (driver) {
+    case 'memory':
+      return new MemoryRevocationStore();
+    case 'database':
+      return new PrismaRevocationStore();
+    default:
+      throw new Error(`Unknown TOKEN_REVOCATION_STORE: ${driver}`);
+  }
+};
+
+const store = createStore();
+
+module.exports = store;
@@ -0,0 +1,81 @@
+const logger = require('./logger');
+const AuditRepository = require('../../features/audit/audit.repository');
+
+const auditRepository = new AuditRepository();
+
+// Bookkeeping columns that change on every write and would drown the real changes
+const IGNORED_FIELDS = ['updatedAt', 'version'];
+
+// Decimals become strings and dates ISO strings, exactly as the API returns them
+const toJson = (value) => (value === undefined || value === null ? null : JSON.parse(JSON.stringify(value)));
+
+class Audit {
+  /**
+   * Persists a security or data event to the audit_events table and mirrors it to the log.
+   * Never throws: a failed audit write is logged but does not fail the audited operation.
+   *
+   * @param {string} action e.g. "item.updated"
+   * @param {object} event actorId, targetType, targetId, context ({ ip, userAgent }),
+   *   before/after snapshots of the target, and any extra fields as metadata
+   */
+  static async record(action, event = {}) {
+    const { actorId, targetType, targetId, context = {}, before, after, ...metadata } = event;
+    const changes = Audit.diff(toJson(before), toJson(after));
+
+    logger.info(`Audit: ${action}`, {
+      audit: true,
+      action,
+      actorId,
+      targetType,
+      targetId,
+      changedFields: changes.fields,
+      ...metadata,
+    });
+
+    try {
+      await auditRepository.create({
+        action,
+        actorId: actorId || null,
+        targetType: targetType || null,
+        targetId: targetId === undefined || targetId === null ? null : String(targetId),
+        ip: context.ip || null,
+        userAgent: context.userAgent || null,
+        before: changes.before || undefined,
+        after: changes.after || undefined,
+        changedFields: changes.fields,
+        metadata: Object.keys(metadata).length > 0 ? toJson(metadata) : undefined,
+      });
+    } catch (error) {
+      logger.error(`Failed to persist audit event ${action}:`, error);
+    }
+  }
+
+  /**
+   * Reduces before/after snapshots to the fields that differ. A create (no before)
+   * or delete (no after) keeps the full snapshot.
+   */
+  static diff(before, after) {
+    if (!before || !after) {
+      const snapshot = before || after;
+      return {
+        before,
+        after,
+        fields: snapshot ? Object.keys(snapshot).filter((field) => !IGNORED_FIELDS.includes(field)) : [],
+      };
+    }
+
+    const fields = [...new Set([...Object.keys(before), ...Object.keys(after)])]
+      .filter((field) => !IGNORED_FIELDS.includes(field))
+      .filter((field) => JSON.stringify(before[field]) !== JSON.stringify(after[field]));
+
+    const pick = (snapshot) => Object.fromEntries(fields.map((field) => [field, snapshot[field] ?? null]));
+
+    return {
+      before: fields.length > 0 ? pick(before) : null,
+      after: fields.length > 0 ? pick(after) : null,
+      fields,
+    };
+  }
+}
+
+module.exports = Audit;
@@ -0,0 +1,23 @@
+class Batches {
+  /**
+   * Yields the rows of a keyset-paginated query one batch at a time, so large
+   * exports are never held in memory at once. fetch(lastId, size) returns the
+   * rows following the one with lastId, which is null for the first batch.
+   */
+  static async* byId(fetch, size) {
+    let lastId = null;
+    for (;;) {
+      const rows = await fetch(lastId, size);
+      if (rows.length > 0) {
+        yield rows;
+      }
+
+      if (rows.length < size) {
+        return;
+      }
+      lastId = rows[rows.length - 1].id;
+    }
+  }
+}
+
+module.exports = Batches;
@@ -0,0 +1,96 @@
+// Spreadsheet apps evaluate cells starting with these as formulas
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+class Csv {
+  /**
+   * Formats one CSV record (RFC 4180) terminated by CRLF. Objects and arrays are
+   * written as JSON; strings that would be run as a spreadsheet formula are
+   * prefixed with a single quote.
+   */
+  static row(values) {
+    return `${values.map((value) => Csv.cell(value)).join(',')}\r\n`;
+  }
+
+  static cell(value) {
+    if (value === undefined || value === null) {
+      return '';
+    }
+
+    let text;
+    if (value instanceof Date) {
+      text = value.toISOString();
+    } else if (typeof value === 'object') {
+      text = JSON.stringify(value);
+    } else {
+      text = String(value);
+    }
+
+    if (typeof value === 'string' && FORMULA_PREFIX.test(text)) {
+      text = `'${text}`;
+    }
+
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  }
+
+  /**
+   * Parses CSV text (RFC 4180, CRLF or LF line endings, optional byte order mark)
+   * into an array of records, each an array of strings. Blank lines are skipped and the quote
+   * added by the formula guard in cell() is removed again, so exports round-trip.
+   * Throws on an unterminated quoted field.
+   */
+  static parse(text) {
+    const records = [];
+    let record = [];
+    let field = '';
+    let quoted = false;
+
+    const endField = () => {
+      record.push(/^'[=+\-@\t\r]/.test(field) ? field.slice(1) : field);
+      field = '';
+    };
+
+    const endRecord = () => {
+      endField();
+      if (record.length > 1 || record[0] !== '') {
+        records.push(record);
+      }
+      record = [];
+    };
+
+    // Spreadsheet apps often save CSV with a UTF-8 byte order mark
+    const input = text.replace(/^\uFEFF/, '');
+
+    for (let i = 0; i < input.length; i += 1) {
+      const char = input[i];
+
+      if (quoted) {
+        if (char === '"' && input[i + 1] === '"') {
+          field += '"';
+          i += 1;
+        } else if (char === '"') {
+          quoted = false;
+        } else {
+          field += char;
+        }
+      } else if (char === '"' && field === '') {
+        quoted = true;
+      } else if (char === ',') {
+        endField();
+      } else if (char === '\n' || (char === '\r' && input[i + 1] === '\n')) {
+        i += char === '\r' ? 1 : 0;
+        endRecord();
+      } else {
+        field += char;
+      }
+    }
+
+    if (quoted) {
+      throw new Error('Unterminated quoted field');
+    }
+    endRecord();
+
+    return records;
+  }
+}
+
+module.exports = Csv;
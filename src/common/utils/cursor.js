@@ -0,0 +1,32 @@
+/**
+ * Opaque keyset pagination cursors. A cursor records the (createdAt, id) of the
+ * row a page ended on and whether the client is paging forward or back from it.
+ */
+class Cursor {
+  static encode(row, direction) {
+    const payload = { c: row.createdAt.toISOString(), i: row.id, d: direction };
+    return Buffer.from(JSON.stringify(payload)).toString('base64url');
+  }
+
+  /**
+   * Returns { createdAt, id, direction }, or null when the cursor is malformed.
+   */
+  static decode(cursor) {
+    try {
+      const { c, i, d } = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+      const createdAt = new Date(c);
+
+      if (typeof c !== 'string' || Number.isNaN(createdAt.getTime())
+        || !Number.isInteger(i) || i < 1
+        || !['next', 'prev'].includes(d)) {
+        return null;
+      }
+
+      return { createdAt, id: i, direction: d };
+    } catch (error) {
+      return null;
+    }
+  }
+}
+
+module.exports = Cursor;
@@ -0,0 +1,49 @@
+const { once } = require('events');
+const logger = require('./logger');
+
+class Download {
+  /**
+   * "items-2026-10-18T09-06-00-000Z.csv": the prefix plus the current time, safe in file names.
+   */
+  static filename(prefix, extension) {
+    return `${prefix}-${new Date().toISOString().replace(/[:.]/g, '-')}.${extension}`;
+  }
+
+  /**
+   * Streams a file download produced chunk by chunk. produce(write) calls
+   * write(chunk) for each piece of text; write waits while the client is slow
+   * to read and throws once it has gone away.
+   *
+   * Errors raised before anything was sent are rethrown for the error handler.
+   * Once the body has started, the response can only be cut short.
+   */
+  static async send(res, { contentType, filename }, produce) {
+    res.status(200);
+    res.set({
+      'Content-Type': contentType,
+      'Content-Disposition': `attachment; filename="${filename}"`,
+    });
+
+    try {
+      await produce(async (chunk) => {
+        if (res.destroyed) {
+          throw new Error('Client closed the connection');
+        }
+        if (chunk && !res.write(chunk)) {
+          await Promise.race([once(res, 'drain'), once(res, 'close')]);
+        }
+      });
+
+      res.end();
+    } catch (error) {
+      if (!res.headersSent) {
+        throw error;
+      }
+
+      logger.error(`Download ${filename} aborted:`, error);
+      res.destroy(error);
+    }
+  }
+}
+
+module.exports = Download;
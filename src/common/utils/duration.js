@@ -0,0 +1,32 @@
+const UNITS = {
+  ms: 1,
+  s: 1000,
+  m: 60 * 1000,
+  h: 60 * 60 * 1000,
+  d: 24 * 60 * 60 * 1000,
+};
+
+class Duration {
+  /**
+   * Parses durations in the same shorthand jsonwebtoken accepts for expiresIn
+   * ("15m", "24h", "7d") into milliseconds. Bare numbers are seconds.
+   */
+  static toMilliseconds(value, fallback) {
+    if (value === undefined || value === null || value === '') {
+      return fallback === undefined ? null : Duration.toMilliseconds(fallback);
+    }
+
+    if (typeof value === 'number') {
+      return value * 1000;
+    }
+
+    const match = /^(\d+)\s*(ms|s|m|h|d)?$/.exec(String(value).trim());
+    if (!match) {
+      throw new Error(`Invalid duration: ${value}`);
+    }
+
+    return parseInt(match[1], 10) * UNITS[match[2] || 's'];
+  }
+}
+
+module.exports = Duration;
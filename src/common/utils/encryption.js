@@ -0,0 +1,33 @@
+const crypto = require('crypto');
+const Environment = require('../config/environment');
+
+const ALGORITHM = 'aes-256-gcm';
+
+// Never derived from JWT_SECRET, which keyset deployments leave unset
+const getKey = () => crypto.createHash('sha256').update(Environment.require('ENCRYPTION_KEY')).digest();
+
+/**
+ * Symmetric encryption for secrets that must be readable again, such as TOTP seeds.
+ * Output format: iv.authTag.ciphertext, each base64url encoded.
+ */
+class Encryption {
+  static encrypt(plainText) {
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv(ALGORITHM, getKey(), iv);
+    const encrypted = Buffer.concat([cipher.update(plainText, 'utf8'), cipher.final()]);
+
+    return [iv, cipher.getAuthTag(), encrypted]
+      .map((part) => part.toString('base64url'))
+      .join('.');
+  }
+
+  static decrypt(payload) {
+    const [iv, authTag, encrypted] = payload.split('.').map((part) => Buffer.from(part, 'base64url'));
+    const decipher = crypto.createDecipheriv(ALGORITHM, getKey(), iv);
+    decipher.setAuthTag(authTag);
+
+    return Buffer.concat([decipher.update(encrypted), decipher.final()]).toString('utf8');
+  }
+}
+
+module.exports = Encryption;
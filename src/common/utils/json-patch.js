@@ -0,0 +1,150 @@
+const { isDeepStrictEqual } = require('util');
+const AppError = require('../errors/AppError');
+
+// "/a/b~1c" -> ['a', 'b/c'] (RFC 6901)
+const parsePointer = (pointer) => (pointer === ''
+  ? []
+  : pointer.slice(1).split('/').map((token) => token.replace(/~1/g, '/').replace(/~0/g, '~')));
+
+const isObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+const unprocessable = (index, message) => new AppError(`Patch operation ${index} failed: ${message}`, 422);
+
+/**
+ * Applies a single operation to document and returns the result; nested values
+ * are modified in place, so apply() always works on a copy.
+ */
+const applyOperation = (document, { op, path, from, value }, index) => {
+  const resolve = (pointer) => {
+    const tokens = parsePointer(pointer);
+    const key = tokens.pop();
+    const parent = tokens.reduce((node, token) => {
+      const child = Array.isArray(node) || isObject(node) ? node[token] : undefined;
+      if (child === undefined || !Object.prototype.hasOwnProperty.call(node, token)) {
+        throw unprocessable(index, `${pointer} does not exist`);
+      }
+      return child;
+    }, document);
+
+    if (key !== undefined && !Array.isArray(parent) && !isObject(parent)) {
+      throw unprocessable(index, `${pointer} does not exist`);
+    }
+    return { parent, key };
+  };
+
+  const arrayIndex = (array, key, pointer, allowEnd) => {
+    const position = key === '-' && allowEnd ? array.length : Number(key);
+    if (!/^(0|[1-9]\d*|-)$/.test(key) || !Number.isInteger(position) || position > array.length
+      || (position === array.length && !allowEnd)) {
+      throw unprocessable(index, `${pointer} does not exist`);
+    }
+    return position;
+  };
+
+  const get = (pointer) => {
+    const { parent, key } = resolve(pointer);
+    if (key === undefined) {
+      return parent;
+    }
+    if (Array.isArray(parent)) {
+      return parent[arrayIndex(parent, key, pointer, false)];
+    }
+    if (!Object.prototype.hasOwnProperty.call(parent, key)) {
+      throw unprocessable(index, `${pointer} does not exist`);
+    }
+    return parent[key];
+  };
+
+  const add = (pointer, newValue) => {
+    const { parent, key } = resolve(pointer);
+    if (key === undefined) {
+      return newValue;
+    }
+    if (Array.isArray(parent)) {
+      parent.splice(arrayIndex(parent, key, pointer, true), 0, newValue);
+    } else {
+      parent[key] = newValue;
+    }
+    return document;
+  };
+
+  const remove = (pointer) => {
+    const { parent, key } = resolve(pointer);
+    if (key === undefined) {
+      throw unprocessable(index, 'the whole document cannot be removed');
+    }
+    get(pointer);
+    if (Array.isArray(parent)) {
+      parent.splice(arrayIndex(parent, key, pointer, false), 1);
+    } else {
+      delete parent[key];
+    }
+    return document;
+  };
+
+  switch (op) {
+    case 'add':
+      return add(path, structuredClone(value));
+    case 'remove':
+      return remove(path);
+    case 'replace':
+      get(path);
+      if (path !== '') {
+        remove(path);
+      }
+      return add(path, structuredClone(value));
+    case 'move': {
+      if (path !== from && path.startsWith(`${from}/`)) {
+        throw unprocessable(index, `${from} cannot be moved into one of its children`);
+      }
+      const moved = get(from);
+      remove(from);
+      return add(path, moved);
+    }
+    case 'copy':
+      return add(path, structuredClone(get(from)));
+    case 'test':
+      if (!isDeepStrictEqual(get(path), value)) {
+        throw new AppError(`Patch operation ${index} failed: ${path} does not match the expected value`, 409);
+      }
+      return document;
+    default:
+      throw unprocessable(index, `unknown op ${op}`);
+  }
+};
+
+class JsonPatch {
+  /**
+   * Applies a JSON Patch (RFC 6902) atomically: the input is never modified and
+   * nothing is returned unless every operation succeeds. A failed test operation
+   * throws 409, an operation that cannot be applied 422.
+   */
+  static apply(document, operations) {
+    return operations.reduce(
+      (result, operation, index) => applyOperation(result, operation, index),
+      structuredClone(document)
+    );
+  }
+
+  /**
+   * Applies a JSON Merge Patch (RFC 7396): objects are merged recursively,
+   * null removes a member, anything else replaces the target.
+   */
+  static merge(target, patch) {
+    if (!isObject(patch)) {
+      return structuredClone(patch);
+    }
+
+    const result = isObject(target) ? { ...target } : {};
+    Object.entries(patch).forEach(([key, value]) => {
+      if (value === null) {
+        delete result[key];
+      } else {
+        result[key] = JsonPatch.merge(result[key], value);
+      }
+    });
+    return result;
+  }
+}
+
+module.exports = JsonPatch;
@@ -0,0 +1,49 @@
+const bcrypt = require('bcryptjs');
+
+const BCRYPT_HASH = /^\$2[aby]\$(\d{2})\$/;
+
+const getCost = () => {
+  const cost = parseInt(process.env.BCRYPT_COST, 10);
+  return cost >= 4 && cost <= 31 ? cost : 12;
+};
+
+let dummyHash = null;
+
+const getDummyHash = () => {
+  if (!dummyHash) {
+    dummyHash = bcrypt.hash('dummy-password', getCost());
+  }
+  return dummyHash;
+};
+
+/**
+ * Password hashing with a configurable bcrypt cost (BCRYPT_COST). Hashes
+ * created with another cost or algorithm are reported by needsRehash so they
+ * can be upgraded the next time the plain password is known.
+ */
+class PasswordHasher {
+  static hash(password) {
+    return bcrypt.hash(password, getCost());
+  }
+
+  /**
+   * Resolves false for a missing hash or one in a format this hasher cannot
+   * check, after a comparison against a dummy hash so the time taken does not
+   * reveal that there was nothing to compare.
+   */
+  static async verify(password, hash) {
+    if (!hash || !BCRYPT_HASH.test(hash)) {
+      await bcrypt.compare(password, await getDummyHash());
+      return false;
+    }
+
+    return bcrypt.compare(password, hash);
+  }
+
+  static needsRehash(hash) {
+    const match = BCRYPT_HASH.exec(hash || '');
+    return !match || parseInt(match[1], 10) !== getCost();
+  }
+}
+
+module.exports = PasswordHasher;
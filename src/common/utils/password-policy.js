@@ -0,0 +1,84 @@
+const fs = require('fs');
+const path = require('path');
+const logger = require('./logger');
+
+// bcrypt ignores everything after the first 72 bytes
+const MAX_BCRYPT_BYTES = 72;
+
+const CHARACTER_CLASSES = {
+  lowercase: { pattern: /\p{Ll}/u, message: 'a lowercase letter' },
+  uppercase: { pattern: /\p{Lu}/u, message: 'an uppercase letter' },
+  digit: { pattern: /\p{Nd}/u, message: 'a digit' },
+  symbol: { pattern: /[^\p{L}\p{Nd}]/u, message: 'a symbol' },
+};
+
+const config = {
+  minLength: parseInt(process.env.PASSWORD_MIN_LENGTH, 10) || 8,
+  requiredClasses: (process.env.PASSWORD_REQUIRED_CLASSES || '')
+    .split(',')
+    .map((name) => name.trim().toLowerCase())
+    .filter(Boolean),
+  blocklistFile: process.env.PASSWORD_BLOCKLIST_FILE
+    || path.join(__dirname, '..', 'data', 'common-passwords.txt'),
+};
+
+const unknownClasses = config.requiredClasses.filter((name) => !CHARACTER_CLASSES[name]);
+if (unknownClasses.length > 0) {
+  throw new Error(`Unknown PASSWORD_REQUIRED_CLASSES: ${unknownClasses.join(', ')}`);
+}
+
+let blocklist = null;
+
+const loadBlocklist = () => {
+  if (!blocklist) {
+    blocklist = new Set(fs.readFileSync(config.blocklistFile, 'utf8')
+      .split(/\r?\n/)
+      .map((line) => line.trim().toLowerCase())
+      .filter((line) => line && !line.startsWith('#')));
+
+    logger.debug(`Loaded ${blocklist.size} blocked passwords from ${config.blocklistFile}`);
+  }
+
+  return blocklist;
+};
+
+class PasswordPolicy {
+  /**
+   * Returns the list of policy violations, empty when the password is acceptable.
+   * username and email are used to reject passwords built from the account's own identifiers.
+   */
+  static validate(password, { username, email } = {}) {
+    const errors = [];
+    const lowerPassword = password.toLowerCase();
+
+    if ([...password].length < config.minLength) {
+      errors.push(`Password must be at least ${config.minLength} characters long`);
+    }
+
+    if (Buffer.byteLength(password, 'utf8') > MAX_BCRYPT_BYTES) {
+      errors.push(`Password must not exceed ${MAX_BCRYPT_BYTES} bytes`);
+    }
+
+    const missing = config.requiredClasses.filter((name) => !CHARACTER_CLASSES[name].pattern.test(password));
+    if (missing.length > 0) {
+      const requirements = missing.map((name) => CHARACTER_CLASSES[name].message);
+      errors.push(`Password must contain ${new Intl.ListFormat('en', { type: 'conjunction' }).format(requirements)}`);
+    }
+
+    const identifiers = [username, email, email && email.split('@')[0]]
+      .filter((value) => value && value.length >= 3)
+      .map((value) => value.toLowerCase());
+
+    if (identifiers.some((value) => lowerPassword.includes(value))) {
+      errors.push('Password must not contain your username or email address');
+    }
+
+    if (loadBlocklist().has(lowerPassword)) {
+      errors.push('Password is too common or has appeared in a data breach');
+    }
+
+    return errors;
+  }
+}
+
+module.exports = PasswordPolicy;
@@ -0,0 +1,15 @@
+class RequestContext {
+  /**
+   * Client details that services record alongside security events.
+   */
+  static from(req) {
+    const userAgent = req.get('user-agent');
+
+    return {
+      ip: req.ip,
+      userAgent: userAgent ? userAgent.slice(0, 255) : null,
+    };
+  }
+}
+
+module.exports = RequestContext;
@@ -0,0 +1,23 @@
+const logger = require('./logger');
+
+class Scheduler {
+  /**
+   * Runs task every interval milliseconds for the life of the process. A failed
+   * run is logged and the next one still goes ahead; the timer never keeps the
+   * process alive on its own.
+   */
+  static every(name, interval, task) {
+    const timer = setInterval(async () => {
+      try {
+        await task();
+      } catch (error) {
+        logger.error(`Scheduled job "${name}" failed:`, error);
+      }
+    }, interval);
+
+    timer.unref();
+    return timer;
+  }
+}
+
+module.exports = Scheduler;
@@ -0,0 +1,23 @@
+const crypto = require('crypto');
+
+class TokenUtils {
+  /**
+   * Generates a random, URL-safe opaque token.
+   */
+  static generate(bytes = 48) {
+    return crypto.randomBytes(bytes).toString('base64url');
+  }
+
+  /**
+   * Opaque tokens are only ever persisted as a SHA-256 digest.
+   */
+  static hash(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+  }
+
+  static uuid() {
+    return crypto.randomUUID();
+  }
+}
+
+module.exports = TokenUtils;
@@ -0,0 +1,126 @@
+const crypto = require('crypto');
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+/**
+ * Time-based one-time passwords (RFC 6238) with the defaults authenticator apps
+ * expect: HMAC-SHA1, 6 digits, 30 second steps.
+ */
+class Totp {
+  static get digits() {
+    return 6;
+  }
+
+  static get period() {
+    return 30;
+  }
+
+  static generateSecret(bytes = 20) {
+    return Totp.base32Encode(crypto.randomBytes(bytes));
+  }
+
+  static base32Encode(buffer) {
+    let bits = 0;
+    let value = 0;
+    let output = '';
+
+    for (const byte of buffer) {
+      value = (value << 8) | byte;
+      bits += 8;
+
+      while (bits >= 5) {
+        output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+        bits -= 5;
+      }
+    }
+
+    if (bits > 0) {
+      output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+    }
+
+    return output;
+  }
+
+  static base32Decode(input) {
+    const cleaned = input.toUpperCase().replace(/=+$/, '').replace(/\s/g, '');
+    let bits = 0;
+    let value = 0;
+    const bytes = [];
+
+    for (const char of cleaned) {
+      const index = BASE32_ALPHABET.indexOf(char);
+      if (index === -1) {
+        throw new Error('Invalid base32 character');
+      }
+
+      value = (value << 5) | index;
+      bits += 5;
+
+      if (bits >= 8) {
+        bytes.push((value >>> (bits - 8)) & 255);
+        bits -= 8;
+      }
+    }
+
+    return Buffer.from(bytes);
+  }
+
+  static counterAt(timestamp = Date.now()) {
+    return Math.floor(timestamp / 1000 / Totp.period);
+  }
+
+  static generate(secret, counter = Totp.counterAt()) {
+    const counterBuffer = Buffer.alloc(8);
+    counterBuffer.writeBigUInt64BE(BigInt(counter));
+
+    const hmac = crypto
+      .createHmac('sha1', Totp.base32Decode(secret))
+      .update(counterBuffer)
+      .digest();
+
+    // Dynamic truncation (RFC 4226, section 5.3)
+    const offset = hmac[hmac.length - 1] & 0xf;
+    const binary = ((hmac[offset] & 0x7f) << 24)
+      | (hmac[offset + 1] << 16)
+      | (hmac[offset + 2] << 8)
+      | hmac[offset + 3];
+
+    return String(binary % 10 ** Totp.digits).padStart(Totp.digits, '0');
+  }
+
+  /**
+   * Checks the code against the current step and `window` steps either side
+   * to tolerate clock drift. Returns the matching counter, or null.
+   */
+  static verify(secret, code, window = 1) {
+    if (!/^\d+$/.test(code) || code.length !== Totp.digits) {
+      return null;
+    }
+
+    const current = Totp.counterAt();
+
+    for (let counter = current - window; counter <= current + window; counter += 1) {
+      const expected = Totp.generate(secret, counter);
+      if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(code))) {
+        return counter;
+      }
+    }
+
+    return null;
+  }
+
+  static keyUri({ secret, accountName, issuer }) {
+    const label = encodeURIComponent(`${issuer}:${accountName}`);
+    const params = new URLSearchParams({
+      secret,
+      issuer,
+      algorithm: 'SHA1',
+      digits: String(Totp.digits),
+      period: String(Totp.period),
+    });
+
+    return `otpauth://totp/${label}?${params.toString()}`;
+  }
+}
+
+module.exports = Totp;
@@ -0,0 +1,111 @@
+const AdminService = require('./admin.service');
+
+class AdminController {
+  constructor() {
+    this.adminService = new AdminService();
+  }
+
+  listUsers = async (req, res, next) => {
+    try {
+      const result = await this.adminService.listUsers(req.query);
+
+      res.json({
+        success: true,
+        message: 'Users retrieved successfully',
+        data: result,
+      });
+    } catch (error) {
+      next(error);
+    }
+  };
+
+  getUser = async (req, res, next) => {
+    try {
+      const user = await this.adminService.getUser(parseInt(req.params.id));
+
+      res.json({
+        success: true,
+        message: 'User retrieved successfully',
+        data: { user },
+      });
+    } catch (error) {
+      next(error);
+    }
+  };
+
+  updateUserRole = async (req, res, next) => {
+    try {
+      const user = await this.adminService.updateUserRole(
+        parseInt(req.params.id),
+        req.body.role,
+        req.user
+      );
+
+      res.json({
+        success: true,
+        message: 'User role updated successfully',
+        data: { user },
+      });
+    } catch (error) {
+      next(error);
+    }
+  };
+
+  unlockUser = async (req, res, next) => {
+    try {
+      await this.adminService.unlockUser(parseInt(req.params.id), req.user);
+
+      res.json({
+        success: true,
+        message: 'User unlocked successfully',
+        data: null,
+      });
+    } catch (error) {
+      next(error);
+    }
+  };
+
+  disableUser = async (req, res, next) => {
+    try {
+      const user = await this.adminService.disableUser(parseInt(req.params.id), req.user);
+
+      res.json({
+        success: true,
+        message: 'User disabled successfully',
+        data: { user },
+      });
+    } catch (error) {
+      next(error);
+    }
+  };
+
+  enableUser = async (req, res, next) => {
+    try {
+      const user = await this.adminService.enableUser(parseInt(req.params.id), req.user);
+
+      res.json({
+        success: true,
+        message: 'User enabled successfully',
+        data: { user },
+      });
+    } catch (error) {
+      next(error);
+    }
+  };
+
+  forcePasswordReset = async (req, res, next) => {
+    try {
+      await this.adminService.forcePasswordReset(parseInt(req.params.id), req.user);
+
+      res.json({
+        success: true,
+        message: 'Password reset email sent and sessions revoked',
+        data: null,
+      });
+    } catch (error) {
+      next(error);
+    }
+  };
+}
+
+module.exports = new AdminController();
@@ -0,0 +1,143 @@
+const prismaClient = require('../../common/database/prisma.client');
+const logger = require('../../common/utils/logger');
+
+const userSelect = {
+  id: true,
+  username: true,
+  email: true,
+  firstName: true,
+  lastName: true,
+  role: true,
+  emailVerified: true,
+  twoFactorEnabled: true,
+  disabledAt: true,
+  passwordResetRequired: true,
+  createdAt: true,
+  updatedAt: true,
+  lastLogin: true,
+};
+
+const withItemCount = ({ _count, ...user }) => ({ ...user, itemCount: _count.items });
+
+class AdminRepository {
+  constructor() {
+    this.prisma = prismaClient.getClient();
+  }
+
+  /**
+   * Paginated user listing. search matches username or email; the lastLogin range
+   * only matches users who have logged in at least once.
+   */
+  async findUsers({ page = 1, limit = 20, search, role, status, lastLoginAfter, lastLoginBefore, neverLoggedIn }) {
+    try {
+      const conditions = [];
+
+      if (search) {
+        conditions.push({
+          OR: [
+            { username: { contains: search, mode: 'insensitive' } },
+            { email: { contains: search, mode: 'insensitive' } },
+          ],
+        });
+      }
+
+      if (role) {
+        conditions.push({ role });
+      }
+
+      if (status) {
+        conditions.push({ disabledAt: status === 'disabled' ? { not: null } : null });
+      }
+
+      if (lastLoginAfter) {
+        conditions.push({ lastLogin: { gte: lastLoginAfter } });
+      }
+
+      if (lastLoginBefore) {
+        conditions.push({ lastLogin: { lt: lastLoginBefore } });
+      }
+
+      if (neverLoggedIn !== undefined) {
+        conditions.push({ lastLogin: neverLoggedIn ? null : { not: null } });
+      }
+
+      const where = { AND: conditions };
+
+      const [users, total] = await Promise.all([
+        this.prisma.user.findMany({
+          where,
+          select: { ...userSelect, _count: { select: { items: { where: { deletedAt: null } } } } },
+          orderBy: [{ createdAt: 'desc' }, { id: 'desc' }],
+          skip: (page - 1) * limit,
+          take: limit,
+        }),
+        this.prisma.user.count({ where }),
+      ]);
+
+      return {
+        users: users.map(withItemCount),
+        pagination: {
+          page,
+          limit,
+          total,
+          totalPages: Math.ceil(total / limit),
+        },
+      };
+    } catch (error) {
+      logger.error('Error in findUsers:', error);
+      throw error;
+    }
+  }
+
+  async countItemsByCategory(userId) {
+    try {
+      const groups = await this.prisma.item.groupBy({
+        by: ['categoryId'],
+        where: { userId, deletedAt: null },
+        _count: { _all: true },
+      });
+
+      const categories = new Map((await this.prisma.category.findMany({
+        where: { id: { in: groups.map((group) => group.categoryId).filter(Boolean) } },
+        select: { id: true, name: true, slug: true },
+      })).map((category) => [category.id, category]));
+
+      // Sorted by category name, with uncategorized items last
+      return groups
+        .map((group) => ({ category: categories.get(group.categoryId) || null, count: group._count._all }))
+        .sort((a, b) => (!a.category || !b.category
+          ? Number(!a.category) - Number(!b.category)
+          : a.category.name.localeCompare(b.category.name)));
+    } catch (error) {
+      logger.error('Error in countItemsByCategory:', error);
+      throw error;
+    }
+  }
+
+  async findUserById(id) {
+    try {
+      return await this.prisma.user.findUnique({
+        where: { id },
+        select: userSelect,
+      });
+    } catch (error) {
+      logger.error('Error in findUserById:', error);
+      throw error;
+    }
+  }
+
+  async updateRole(id, role) {
+    try {
+      return await this.prisma.user.update({
+        where: { id },
+        data: { role },
+        select: userSelect,
+      });
+    } catch (error) {
+      logger.error('Error in updateRole:', error);
+      throw error;
+    }
+  }
+}
+
+module.exports = AdminRepository;
@@ -0,0 +1,230 @@
+const express = require('express');
+const router = express.Router();
+const adminController = require('./admin.controller');
+const AuthMiddleware = require('../../common/middleware/auth.middleware');
+const ValidateMiddleware = require('../../common/middleware/validate.middleware');
+const { ROLES } = require('../../common/constants/roles');
+const { updateRoleSchema, userParamsSchema, listUsersSchema } = require('./admin.validator');
+
+const validateUserId = ValidateMiddleware.validate(userParamsSchema, 'params');
+
+/**
+ * @swagger
+ * tags:
+ *   name: Admin
+ *   description: Administrative endpoints (ADMIN role required)
+ */
+
+router.use(AuthMiddleware.authenticate, AuthMiddleware.rejectApiKeys, AuthMiddleware.authorize(ROLES.ADMIN));
+
+/**
+ * @swagger
+ * /api/admin/users:
+ *   get:
+ *     summary: List users
+ *     description: Paginated, newest first. Each user includes its item count.
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *           maximum: 100
+ *       - in: query
+ *         name: search
+ *         description: Matches username or email (case-insensitive)
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: role
+ *         schema:
+ *           type: string
+ *           enum: [USER, MODERATOR, ADMIN]
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [active, disabled]
+ *       - in: query
+ *         name: lastLoginAfter
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *       - in: query
+ *         name: lastLoginBefore
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *       - in: query
+ *         name: neverLoggedIn
+ *         description: Cannot be combined with the lastLogin range
+ *         schema:
+ *           type: boolean
+ *     responses:
+ *       200:
+ *         description: Users retrieved successfully
+ *       403:
+ *         description: Forbidden
+ */
+router.get('/users', ValidateMiddleware.validate(listUsersSchema, 'query'), adminController.listUsers);
+
+/**
+ * @swagger
+ * /api/admin/users/{id}:
+ *   get:
+ *     summary: Get a user with item counts per category
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: User retrieved successfully
+ *       404:
+ *         description: User not found
+ */
+router.get('/users/:id', validateUserId, adminController.getUser);
+
+/**
+ * @swagger
+ * /api/admin/users/{id}/role:
+ *   patch:
+ *     summary: Change a user's role
+ *     description: The user's existing sessions are revoked so the new role takes effect immediately.
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - role
+ *             properties:
+ *               role:
+ *                 type: string
+ *                 enum: [USER, MODERATOR, ADMIN]
+ *     responses:
+ *       200:
+ *         description: User role updated successfully
+ *       403:
+ *         description: Forbidden
+ *       404:
+ *         description: User not found
+ */
+router.patch('/users/:id/role', validateUserId, ValidateMiddleware.validate(updateRoleSchema), adminController.updateUserRole);
+
+/**
+ * @swagger
+ * /api/admin/users/{id}/unlock:
+ *   post:
+ *     summary: Clear failed login attempts and lift a lockout
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: User unlocked successfully
+ *       404:
+ *         description: User not found
+ */
+router.post('/users/:id/unlock', validateUserId, adminController.unlockUser);
+
+/**
+ * @swagger
+ * /api/admin/users/{id}/disable:
+ *   post:
+ *     summary: Disable an account
+ *     description: Revokes all sessions. Disabled users cannot log in and their tokens and API keys are rejected.
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: User disabled successfully
+ *       400:
+ *         description: Cannot disable your own account
+ *       404:
+ *         description: User not found
+ */
+router.post('/users/:id/disable', validateUserId, adminController.disableUser);
+
+/**
+ * @swagger
+ * /api/admin/users/{id}/enable:
+ *   post:
+ *     summary: Re-enable a disabled account
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: User enabled successfully
+ *       404:
+ *         description: User not found
+ */
+router.post('/users/:id/enable', validateUserId, adminController.enableUser);
+
+/**
+ * @swagger
+ * /api/admin/users/{id}/force-password-reset:
+ *   post:
+ *     summary: Force a password reset
+ *     description: Revokes all sessions, emails a reset link and blocks password logins until the password is reset.
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Password reset email sent and sessions revoked
+ *       404:
+ *         description: User not found
+ */
+router.post('/users/:id/force-password-reset', validateUserId, adminController.forcePasswordReset);
+
+module.exports = router;
@@ -0,0 +1,152 @@
+const AdminRepository = require('./admin.repository');
+const AuthService = require('../auth/auth.service');
+const AuthRepository = require('../auth/auth.repository');
+const LoginThrottleService = require('../auth/login-throttle.service');
+const Audit = require('../../common/utils/audit');
+const logger = require('../../common/utils/logger');
+const AppError = require('../../common/errors/AppError');
+
+class AdminService {
+  constructor() {
+    this.adminRepository = new AdminRepository();
+    this.authService = new AuthService();
+    this.authRepository = new AuthRepository();
+    this.loginThrottleService = new LoginThrottleService();
+  }
+
+  async listUsers(filters) {
+    try {
+      return await this.adminRepository.findUsers(filters);
+    } catch (error) {
+      logger.error('Error in listUsers service:', error);
+      throw error;
+    }
+  }
+
+  async getUser(userId) {
+    try {
+      const user = await this.getExistingUser(userId);
+      const byCategory = await this.adminRepository.countItemsByCategory(userId);
+
+      return {
+        ...user,
+        itemCounts: {
+          total: byCategory.reduce((sum, group) => sum + group.count, 0),
+          byCategory,
+        },
+      };
+    } catch (error) {
+      logger.error('Error in getUser service:', error);
+      throw error;
+    }
+  }
+
+  async updateUserRole(userId, role, actor) {
+    try {
+      if (userId === actor.id) {
+        throw new AppError('You cannot change your own role', 400);
+      }
+
+      const user = await this.adminRepository.findUserById(userId);
+      if (!user) {
+        throw new AppError('User not found', 404);
+      }
+
+      const updatedUser = await this.adminRepository.updateRole(userId, role);
+
+      // The role is embedded in issued tokens, so force the user to sign in again
+      await this.authService.revokeAllSessions(userId);
+
+      await Audit.record('admin.user.role_changed', {
+        actorId: actor.id,
+        targetType: 'user',
+        targetId: userId,
+        before: { role: user.role },
+        after: { role },
+      });
+      logger.info(`User ${userId} role changed from ${user.role} to ${role} by admin ${actor.id}`);
+      return updatedUser;
+    } catch (error) {
+      logger.error('Error in updateUserRole service:', error);
+      throw error;
+    }
+  }
+
+  async unlockUser(userId, actor) {
+    try {
+      const user = await this.adminRepository.findUserById(userId);
+      if (!user) {
+        throw new AppError('User not found', 404);
+      }
+
+      await this.loginThrottleService.unlock(user.username);
+
+      await Audit.record('auth.unlock', { actorId: actor.id, targetType: 'user', targetId: userId });
+      logger.info(`User ${userId} unlocked by admin ${actor.id}`);
+    } catch (error) {
+      logger.error('Error in unlockUser service:', error);
+      throw error;
+    }
+  }
+
+  async disableUser(userId, actor) {
+    try {
+      if (userId === actor.id) {
+        throw new AppError('You cannot disable your own account', 400);
+      }
+
+      await this.getExistingUser(userId);
+      await this.authRepository.setDisabled(userId, true);
+      await this.authService.revokeAllSessions(userId);
+
+      await Audit.record('admin.user.disabled', { actorId: actor.id, targetType: 'user', targetId: userId });
+      logger.info(`User ${userId} disabled by admin ${actor.id}`);
+
+      return this.adminRepository.findUserById(userId);
+    } catch (error) {
+      logger.error('Error in disableUser service:', error);
+      throw error;
+    }
+  }
+
+  async enableUser(userId, actor) {
+    try {
+      await this.getExistingUser(userId);
+      await this.authRepository.setDisabled(userId, false);
+
+      await Audit.record('admin.user.enabled', { actorId: actor.id, targetType: 'user', targetId: userId });
+      logger.info(`User ${userId} enabled by admin ${actor.id}`);
+
+      return this.adminRepository.findUserById(userId);
+    } catch (error) {
+      logger.error('Error in enableUser service:', error);
+      throw error;
+    }
+  }
+
+  async forcePasswordReset(userId, actor) {
+    try {
+      await this.authService.forcePasswordReset(userId);
+
+      await Audit.record('admin.user.password_reset_forced', {
+        actorId: actor.id,
+        targetType: 'user',
+        targetId: userId,
+      });
+      logger.info(`Password reset forced for user ${userId} by admin ${actor.id}`);
+    } catch (error) {
+      logger.error('Error in forcePasswordReset service:', error);
+      throw error;
+    }
+  }
+
+  async getExistingUser(userId) {
+    const user = await this.adminRepository.findUserById(userId);
+    if (!user) {
+      throw new AppError('User not found', 404);
+    }
+    return user;
+  }
+}
+
+module.exports = AdminService;
@@ -0,0 +1,37 @@
+const Joi = require('joi');
+const { ROLES } = require('../../common/constants/roles');
+
+const updateRoleSchema = Joi.object({
+  role: Joi.string().valid(...Object.values(ROLES)).required().messages({
+    'any.only': `Role must be one of ${Object.values(ROLES).join(', ')}`,
+    'any.required': 'Role is required',
+  }),
+});
+
+const userParamsSchema = Joi.object({
+  id: Joi.number().integer().positive().required().messages({
+    'number.base': 'User ID must be a number',
+  }),
+});
+
+const listUsersSchema = Joi.object({
+  page: Joi.number().integer().min(1).default(1),
+  limit: Joi.number().integer().min(1).max(100).default(20),
+  search: Joi.string().trim().max(100).optional(),
+  role: Joi.string().valid(...Object.values(ROLES)).optional(),
+  status: Joi.string().valid('active', 'disabled').optional(),
+  lastLoginAfter: Joi.date().iso().optional(),
+  lastLoginBefore: Joi.date().iso().optional(),
+  neverLoggedIn: Joi.boolean().optional(),
+})
+  .oxor('neverLoggedIn', 'lastLoginAfter')
+  .oxor('neverLoggedIn', 'lastLoginBefore')
+  .messages({
+    'object.oxor': 'neverLoggedIn cannot be combined with lastLoginAfter or lastLoginBefore',
+  });
+
+module.exports = {
+  updateRoleSchema,
+  userParamsSchema,
+  listUsersSchema,
+};
@@ -0,0 +1,51 @@
+const ApiKeysService = require('./api-keys.service');
+
+class ApiKeysController {
+  constructor() {
+    this.apiKeysService = new ApiKeysService();
+  }
+
+  listKeys = async (req, res, next) => {
+    try {
+      const apiKeys = await this.apiKeysService.listKeys(req.user.id);
+
+      res.json({
+        success: true,
+        message: 'API keys retrieved successfully',
+        data: { apiKeys },
+      });
+    } catch (error) {
+      next(error);
+    }
+  };
+
+  createKey = async (req, res, next) => {
+    try {
+      const result = await this.apiKeysService.createKey(req.user.id, req.body);
+
+      res.status(201).json({
+        success: true,
+        message: 'API key created. Copy the key now, it will not be shown again',
+        data: result,
+      });
+    } catch (error) {
+      next(error);
+    }
+  };
+
+  revokeKey = async (req, res, next) => {
+    try {
+      const apiKey = await this.apiKeysService.revokeKey(parseInt(req.params.id), req.user.id);
+
+      res.json({
+        success: true,
+        message: 'API key revoked successfully',
+        data: { apiKey },
+      });
+    } catch (error) {
+      next(error);
+    }
+  };
+}
+
+module.exports = new ApiKeysController();
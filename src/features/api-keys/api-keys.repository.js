@@ -0,0 +1,113 @@
+const prismaClient = require('../../common/database/prisma.client');
+const logger = require('../../common/utils/logger');
+
+const apiKeySelect = {
+  id: true,
+  name: true,
+  prefix: true,
+  scopes: true,
+  expiresAt: true,
+  lastUsedAt: true,
+  revokedAt: true,
+  createdAt: true,
+};
+
+class ApiKeysRepository {
+  constructor() {
+    this.prisma = prismaClient.getClient();
+  }
+
+  async findByUserId(userId) {
+    try {
+      return await this.prisma.apiKey.findMany({
+        where: { userId },
+        select: apiKeySelect,
+        orderBy: { createdAt: 'desc' },
+      });
+    } catch (error) {
+      logger.error('Error in findByUserId:', error);
+      throw error;
+    }
+  }
+
+  async findByIdAndUserId(id, userId) {
+    try {
+      return await this.prisma.apiKey.findFirst({
+        where: { id, userId },
+        select: apiKeySelect,
+      });
+    } catch (error) {
+      logger.error('Error in findByIdAndUserId:', error);
+      throw error;
+    }
+  }
+
+  async findByHashWithUser(keyHash) {
+    try {
+      return await this.prisma.apiKey.findUnique({
+        where: { keyHash },
+        include: {
+          user: {
+            select: {
+              id: true,
+              username: true,
+              email: true,
+              role: true,
+              emailVerified: true,
+              disabledAt: true,
+            },
+          },
+        },
+      });
+    } catch (error) {
+      logger.error('Error in findByHashWithUser:', error);
+      throw error;
+    }
+  }
+
+  async create(apiKeyData) {
+    try {
+      return await this.prisma.apiKey.create({
+        data: {
+          userId: apiKeyData.userId,
+          name: apiKeyData.name,
+          prefix: apiKeyData.prefix,
+          keyHash: apiKeyData.keyHash,
+          scopes: apiKeyData.scopes,
+          expiresAt: apiKeyData.expiresAt || null,
+        },
+        select: apiKeySelect,
+      });
+    } catch (error) {
+      logger.error('Error in create api key:', error);
+      throw error;
+    }
+  }
+
+  async revoke(id) {
+    try {
+      return await this.prisma.apiKey.update({
+        where: { id },
+        data: { revokedAt: new Date() },
+        select: apiKeySelect,
+      });
+    } catch (error) {
+      logger.error('Error in revoke api key:', error);
+      throw error;
+    }
+  }
+
+  async touchLastUsed(id, lastUsedAt) {
+    try {
+      await this.prisma.apiKey.update({
+        where: { id },
+        data: { lastUsedAt },
+      });
+    } catch (error) {
+      logger.error('Error in touchLastUsed:', error);
+      throw error;
+    }
+  }
+}
+
+module.exports = ApiKeysRepository;
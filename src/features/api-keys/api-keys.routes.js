@@ -0,0 +1,94 @@
+const express = require('express');
+const router = express.Router();
+const apiKeysController = require('./api-keys.controller');
+const AuthMiddleware = require('../../common/middleware/auth.middleware');
+const ValidateMiddleware = require('../../common/middleware/validate.middleware');
+const { createApiKeySchema, apiKeyParamsSchema } = require('./api-keys.validator');
+
+/**
+ * @swagger
+ * tags:
+ *   name: API Keys
+ *   description: Personal access tokens for machine clients
+ */
+
+// Keys are managed from an interactive session only, never with another key
+router.use(AuthMiddleware.authenticate, AuthMiddleware.rejectApiKeys);
+
+/**
+ * @swagger
+ * /api/api-keys:
+ *   get:
+ *     summary: List the current user's API keys
+ *     tags: [API Keys]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: API keys retrieved successfully
+ */
+router.get('/', apiKeysController.listKeys);
+
+/**
+ * @swagger
+ * /api/api-keys:
+ *   post:
+ *     summary: Create an API key
+ *     description: The secret key is returned once in the response and cannot be retrieved later.
+ *     tags: [API Keys]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - name
+ *               - scopes
+ *             properties:
+ *               name:
+ *                 type: string
+ *                 example: CI importer
+ *               scopes:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                   enum: [items:read, items:write]
+ *               expiresAt:
+ *                 type: string
+ *                 format: date-time
+ *     responses:
+ *       201:
+ *         description: API key created
+ *       400:
+ *         description: Bad request
+ */
+router.post('/', ValidateMiddleware.validate(createApiKeySchema), apiKeysController.createKey);
+
+/**
+ * @swagger
+ * /api/api-keys/{id}:
+ *   delete:
+ *     summary: Revoke an API key
+ *     tags: [API Keys]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: API key revoked successfully
+ *       400:
+ *         description: Validation error
+ *       404:
+ *         description: API key not found
+ */
+router.delete('/:id', ValidateMiddleware.validate(apiKeyParamsSchema, 'params'), apiKeysController.revokeKey);
+
+module.exports = router;
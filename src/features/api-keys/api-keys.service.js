@@ -0,0 +1,102 @@
+const crypto = require('crypto');
+const ApiKeysRepository = require('./api-keys.repository');
+const TokenUtils = require('../../common/utils/token');
+const logger = require('../../common/utils/logger');
+const AppError = require('../../common/errors/AppError');
+
+const KEY_PREFIX = 'whh';
+// lastUsedAt is informational, so avoid a write on every single request
+const LAST_USED_RESOLUTION_MS = 60 * 1000;
+
+class ApiKeysService {
+  constructor() {
+    this.apiKeysRepository = new ApiKeysRepository();
+  }
+
+  static isApiKey(value) {
+    return typeof value === 'string' && value.startsWith(`${KEY_PREFIX}_`);
+  }
+
+  async listKeys(userId) {
+    try {
+      return await this.apiKeysRepository.findByUserId(userId);
+    } catch (error) {
+      logger.error('Error in listKeys service:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * The plaintext key is only returned here; afterwards only its hash is stored.
+   */
+  async createKey(userId, keyData) {
+    try {
+      const prefix = crypto.randomBytes(4).toString('hex');
+      const key = `${KEY_PREFIX}_${prefix}_${TokenUtils.generate(32)}`;
+
+      const apiKey = await this.apiKeysRepository.create({
+        userId,
+        name: keyData.name,
+        prefix,
+        keyHash: TokenUtils.hash(key),
+        scopes: [...new Set(keyData.scopes)],
+        expiresAt: keyData.expiresAt,
+      });
+
+      logger.info(`API key ${apiKey.id} created by user ${userId}`);
+
+      return { apiKey, key };
+    } catch (error) {
+      logger.error('Error in createKey service:', error);
+      throw error;
+    }
+  }
+
+  async revokeKey(id, userId) {
+    try {
+      const apiKey = await this.apiKeysRepository.findByIdAndUserId(id, userId);
+      if (!apiKey) {
+        throw new AppError('API key not found', 404);
+      }
+
+      if (apiKey.revokedAt) {
+        return apiKey;
+      }
+
+      const revokedKey = await this.apiKeysRepository.revoke(id);
+      logger.info(`API key ${id} revoked by user ${userId}`);
+      return revokedKey;
+    } catch (error) {
+      logger.error('Error in revokeKey service:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Resolves a presented key to its owner and scopes, or throws 401.
+   */
+  async authenticate(key) {
+    const apiKey = await this.apiKeysRepository.findByHashWithUser(TokenUtils.hash(key));
+
+    if (!apiKey || apiKey.revokedAt) {
+      throw new AppError('Invalid API key.', 401);
+    }
+
+    const now = new Date();
+    if (apiKey.expiresAt && apiKey.expiresAt <= now) {
+      throw new AppError('API key has expired.', 401);
+    }
+
+    if (!apiKey.lastUsedAt || now - apiKey.lastUsedAt > LAST_USED_RESOLUTION_MS) {
+      this.apiKeysRepository.touchLastUsed(apiKey.id, now).catch(() => {});
+    }
+
+    return {
+      user: apiKey.user,
+      keyId: apiKey.id,
+      scopes: apiKey.scopes,
+    };
+  }
+}
+
+module.exports = ApiKeysService;
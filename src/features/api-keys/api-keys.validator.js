@@ -0,0 +1,32 @@
+const Joi = require('joi');
+const { SCOPES } = require('../../common/constants/scopes');
+
+const createApiKeySchema = Joi.object({
+  name: Joi.string().trim().min(1).max(100).required().messages({
+    'string.max': 'API key name must not exceed 100 characters',
+    'any.required': 'API key name is required',
+  }),
+  scopes: Joi.array()
+    .items(Joi.string().valid(...Object.values(SCOPES)))
+    .min(1)
+    .required()
+    .messages({
+      'any.only': `Scopes must be any of ${Object.values(SCOPES).join(', ')}`,
+      'array.min': 'At least one scope is required',
+      'any.required': 'Scopes are required',
+    }),
+  expiresAt: Joi.date().iso().greater('now').optional().messages({
+    'date.greater': 'Expiry must be in the future',
+  }),
+});
+
+const apiKeyParamsSchema = Joi.object({
+  id: Joi.number().integer().positive().required().messages({
+    'number.base': 'API key ID must be a number',
+  }),
+});
+
+module.exports = {
+  createApiKeySchema,
+  apiKeyParamsSchema,
+};
@@ -0,0 +1,40 @@
+const AuditService = require('./audit.service');
+const Download = require('../../common/utils/download');
+
+class AuditController {
+  constructor() {
+    this.auditService = new AuditService();
+  }
+
+  listEvents = async (req, res, next) => {
+    try {
+      const { format, ...query } = req.query;
+
+      if (format === 'csv') {
+        return await this.exportCsv(query, res);
+      }
+
+      const result = await this.auditService.listEvents(query);
+
+      res.json({
+        success: true,
+        message: 'Audit events retrieved successfully',
+        data: result,
+      });
+    } catch (error) {
+      next(error);
+    }
+  };
+
+  exportCsv = async (query, res) => {
+    // Paging does not apply to exports
+    const { page, limit, ...filters } = query;
+
+    await Download.send(res, {
+      contentType: 'text/csv; charset=utf-8',
+      filename: Download.filename('audit', 'csv'),
+    }, (write) => this.auditService.exportCsv(filters, write));
+  };
+}
+
+module.exports = new AuditController();
@@ -0,0 +1,88 @@
+const prismaClient = require('../../common/database/prisma.client');
+const logger = require('../../common/utils/logger');
+
+class AuditRepository {
+  constructor() {
+    this.prisma = prismaClient.getClient();
+  }
+
+  async create(eventData) {
+    try {
+      return await this.prisma.auditEvent.create({
+        data: eventData,
+      });
+    } catch (error) {
+      logger.error('Error in create audit event:', error);
+      throw error;
+    }
+  }
+
+  async findWithPagination(filters, page = 1, limit = 50) {
+    try {
+      const where = this.buildWhere(filters);
+
+      const [events, total] = await Promise.all([
+        this.prisma.auditEvent.findMany({
+          where,
+          orderBy: { id: 'desc' },
+          skip: (page - 1) * limit,
+          take: limit,
+        }),
+        this.prisma.auditEvent.count({ where }),
+      ]);
+
+      return {
+        events,
+        pagination: {
+          page,
+          limit,
+          total,
+          totalPages: Math.ceil(total / limit),
+        },
+      };
+    } catch (error) {
+      logger.error('Error in findWithPagination audit events:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Keyset-paginated read for exports, newest first: pass the last id of the previous batch.
+   */
+  async findBatch(filters, beforeId, take) {
+    try {
+      const where = this.buildWhere(filters);
+
+      return await this.prisma.auditEvent.findMany({
+        where: beforeId ? { AND: [where, { id: { lt: beforeId } }] } : where,
+        orderBy: { id: 'desc' },
+        take,
+      });
+    } catch (error) {
+      logger.error('Error in findBatch audit events:', error);
+      throw error;
+    }
+  }
+
+  buildWhere({ actorId, action, targetType, targetId, field, ip, from, to }) {
+    return {
+      ...(actorId && { actorId }),
+      // "item.*" matches every item event
+      ...(action && (action.endsWith('*')
+        ? { action: { startsWith: action.slice(0, -1) } }
+        : { action })),
+      ...(targetType && { targetType }),
+      ...(targetId && { targetId: String(targetId) }),
+      ...(field && { changedFields: { has: field } }),
+      ...(ip && { ip }),
+      ...((from || to) && {
+        createdAt: {
+          ...(from && { gte: from }),
+          ...(to && { lt: to }),
+        },
+      }),
+    };
+  }
+}
+
+module.exports = AuditRepository;
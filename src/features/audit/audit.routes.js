@@ -0,0 +1,96 @@
+const express = require('express');
+const router = express.Router();
+const auditController = require('./audit.controller');
+const AuthMiddleware = require('../../common/middleware/auth.middleware');
+const ValidateMiddleware = require('../../common/middleware/validate.middleware');
+const { ROLES } = require('../../common/constants/roles');
+const { listAuditEventsSchema } = require('./audit.validator');
+
+/**
+ * @swagger
+ * tags:
+ *   name: Audit
+ *   description: Audit log of security and data events (ADMIN role required)
+ */
+
+router.use(AuthMiddleware.authenticate, AuthMiddleware.rejectApiKeys, AuthMiddleware.authorize(ROLES.ADMIN));
+
+/**
+ * @swagger
+ * /api/admin/audit:
+ *   get:
+ *     summary: Query audit events
+ *     description: Newest first. With format=csv every matching event is streamed as a CSV download and paging is ignored.
+ *     tags: [Audit]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 50
+ *           maximum: 200
+ *       - in: query
+ *         name: format
+ *         schema:
+ *           type: string
+ *           enum: [json, csv]
+ *           default: json
+ *       - in: query
+ *         name: actorId
+ *         description: User who performed the action
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: action
+ *         description: Exact action, or a prefix ending in * (e.g. item.*)
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: targetType
+ *         schema:
+ *           type: string
+ *           example: item
+ *       - in: query
+ *         name: targetId
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: field
+ *         description: Only events that changed this field (e.g. price)
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: ip
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: from
+ *         description: Inclusive lower bound on the event time
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *       - in: query
+ *         name: to
+ *         description: Exclusive upper bound on the event time
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *     responses:
+ *       200:
+ *         description: Audit events retrieved successfully
+ *         content:
+ *           application/json: {}
+ *           text/csv: {}
+ *       403:
+ *         description: Forbidden
+ */
+router.get('/', ValidateMiddleware.validate(listAuditEventsSchema, 'query'), auditController.listEvents);
+
+module.exports = router;
@@ -0,0 +1,67 @@
+const AuditRepository = require('./audit.repository');
+const Csv = require('../../common/utils/csv');
+const Batches = require('../../common/utils/batches');
+const logger = require('../../common/utils/logger');
+
+const EXPORT_BATCH_SIZE = 500;
+
+const CSV_COLUMNS = [
+  'id',
+  'createdAt',
+  'action',
+  'actorId',
+  'targetType',
+  'targetId',
+  'ip',
+  'userAgent',
+  'changedFields',
+  'before',
+  'after',
+  'metadata',
+];
+
+class AuditService {
+  constructor() {
+    this.auditRepository = new AuditRepository();
+  }
+
+  async listEvents(query) {
+    try {
+      const { page, limit, ...filters } = query;
+      return await this.auditRepository.findWithPagination(filters, page, limit);
+    } catch (error) {
+      logger.error('Error in listEvents service:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Writes every matching event as CSV, reading in batches so large exports
+   * are never held in memory at once.
+   *
+   * @param {object} filters same filters as listEvents, without paging
+   * @param {function(string): Promise<void>} write receives each chunk of CSV text
+   */
+  async exportCsv(filters, write) {
+    try {
+      await write(Csv.row(CSV_COLUMNS));
+
+      const batches = Batches.byId(
+        (beforeId, take) => this.auditRepository.findBatch(filters, beforeId, take),
+        EXPORT_BATCH_SIZE
+      );
+      for await (const events of batches) {
+        await write(events
+          .map((event) => Csv.row(CSV_COLUMNS.map((column) => (column === 'changedFields'
+            ? event.changedFields.join(' ')
+            : event[column]))))
+          .join(''));
+      }
+    } catch (error) {
+      logger.error('Error in exportCsv service:', error);
+      throw error;
+    }
+  }
+}
+
+module.exports = AuditService;
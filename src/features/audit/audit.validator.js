@@ -0,0 +1,21 @@
+const Joi = require('joi');
+
+const listAuditEventsSchema = Joi.object({
+  page: Joi.number().integer().min(1).default(1),
+  limit: Joi.number().integer().min(1).max(200).default(50),
+  format: Joi.string().valid('json', 'csv').default('json'),
+  actorId: Joi.number().integer().positive().optional(),
+  action: Joi.string().trim().max(100).optional(),
+  targetType: Joi.string().trim().max(50).optional(),
+  targetId: Joi.string().trim().max(100).optional(),
+  field: Joi.string().trim().max(100).optional(),
+  ip: Joi.string().trim().max(64).optional(),
+  from: Joi.date().iso().optional(),
+  to: Joi.date().iso().greater(Joi.ref('from')).optional().messages({
+    'date.greater': 'to must be later than from',
+  }),
+});
+
+module.exports = {
+  listAuditEventsSchema,
+};
@@ -1,14 +1,21 @@
 const AuthService = require('./auth.service');
+const TwoFactorService = require('./two-factor.service');
+const SessionService = require('./session.service');
+const OidcService = require('./oidc.service');
+const RequestContext = require('../../common/utils/request-context');
 const logger = require('../../common/utils/logger');
 
 class AuthController {
     constructor() {
         this.authService = new AuthService();
+        this.twoFactorService = new TwoFactorService();
+        this.sessionService = new SessionService();
+        this.oidcService = new OidcService();
     }
 
     register = async (req, res, next) => {
         try {
-            const result = await this.authService.register(req.body);
+            const result = await this.authService.register(req.body, RequestContext.from(req));
 
             res.status(201).json({
                 success: true,
@@ -23,7 +30,22 @@ class AuthController {
     login = async (req, res, next) => {
         try {
             const { username, password } = req.body;
-            const result = await this.authService.login(username, password);
+            const result = await this.authService.login(username, password, RequestContext.from(req));
+
+            res.json({
+                success: true,
+                message: result.twoFactorRequired ? 'Two-factor authentication required' : 'Login successful',
+                data: result,
+            });
+        } catch (error) {
+            next(error);
+        }
+    };
+
+    loginWithTwoFactor = async (req, res, next) => {
+        try {
+            const { challengeToken, code } = req.body;
+            const result = await this.authService.loginWithTwoFactor(challengeToken, code, RequestContext.from(req));
 
             res.json({
                 success: true,
@@ -35,6 +57,195 @@ class AuthController {
         }
     };
 
+    startOidcLogin = async (req, res, next) => {
+        try {
+            const { authorizationUrl } = await this.oidcService.start(req.params.provider);
+
+            if (req.accepts(['html', 'json']) === 'json') {
+                return res.json({
+                    success: true,
+                    message: 'Redirect to the identity provider',
+                    data: { authorizationUrl },
+                });
+            }
+
+            res.redirect(authorizationUrl);
+        } catch (error) {
+            next(error);
+        }
+    };
+
+    completeOidcLogin = async (req, res, next) => {
+        try {
+            const result = await this.oidcService.callback(req.params.provider, req.query, RequestContext.from(req));
+
+            res.json({
+                success: true,
+                message: result.twoFactorRequired ? 'Two-factor authentication required' : 'Login successful',
+                data: result,
+            });
+        } catch (error) {
+            next(error);
+        }
+    };
+
+    setupTwoFactor = async (req, res, next) => {
+        try {
+            const result = await this.twoFactorService.setup(req.user.id);
+
+            res.json({
+                success: true,
+                message: 'Scan the otpauth URL with your authenticator app, then confirm with a code',
+                data: result,
+            });
+        } catch (error) {
+            next(error);
+        }
+    };
+
+    confirmTwoFactor = async (req, res, next) => {
+        try {
+            const result = await this.twoFactorService.confirm(req.user.id, req.body.code);
+
+            res.json({
+                success: true,
+                message: 'Two-factor authentication enabled. Store the recovery codes somewhere safe',
+                data: result,
+            });
+        } catch (error) {
+            next(error);
+        }
+    };
+
+    disableTwoFactor = async (req, res, next) => {
+        try {
+            const { password, code } = req.body;
+            await this.twoFactorService.disable(req.user.id, password, code);
+
+            res.json({
+                success: true,
+                message: 'Two-factor authentication disabled',
+                data: null,
+            });
+        } catch (error) {
+            next(error);
+        }
+    };
+
+    regenerateRecoveryCodes = async (req, res, next) => {
+        try {
+            const { password, code } = req.body;
+            const result = await this.twoFactorService.regenerateRecoveryCodes(req.user.id, password, code);
+
+            res.json({
+                success: true,
+                message: 'Recovery codes regenerated. Previous codes no longer work',
+                data: result,
+            });
+        } catch (error) {
+            next(error);
+        }
+    };
+
+    refresh = async (req, res, next) => {
+        try {
+            const result = await this.authService.refresh(req.body.refreshToken);
+
+            res.json({
+                success: true,
+                message: 'Token refreshed successfully',
+                data: result,
+            });
+        } catch (error) {
+            next(error);
+        }
+    };
+
+    logout = async (req, res, next) => {
+        try {
+            await this.authService.logout(req.user, req.body.refreshToken);
+
+            res.json({
+                success: true,
+                message: 'Logout successful',
+                data: null,
+            });
+        } catch (error) {
+            next(error);
+        }
+    };
+
+    logoutAll = async (req, res, next) => {
+        try {
+            await this.authService.logoutAll(req.user.id);
+
+            res.json({
+                success: true,
+                message: 'Logged out from all sessions',
+                data: null,
+            });
+        } catch (error) {
+            next(error);
+        }
+    };
+
+    verifyEmail = async (req, res, next) => {
+        try {
+            await this.authService.verifyEmail(req.query.token);
+
+            res.json({
+                success: true,
+                message: 'Email verified successfully',
+                data: null,
+            });
+        } catch (error) {
+            next(error);
+        }
+    };
+
+    resendVerification = async (req, res, next) => {
+        try {
+            await this.authService.resendVerification(req.body.email);
+
+            res.json({
+                success: true,
+                message: 'If the account exists and is not yet verified, a verification email has been sent',
+                data: null,
+            });
+        } catch (error) {
+            next(error);
+        }
+    };
+
+    forgotPassword = async (req, res, next) => {
+        try {
+            await this.authService.forgotPassword(req.body.email);
+
+            res.json({
+                success: true,
+                message: 'If an account with that email exists, a password reset link has been sent',
+                data: null,
+            });
+        } catch (error) {
+            next(error);
+        }
+    };
+
+    resetPassword = async (req, res, next) => {
+        try {
+            const { token, password } = req.body;
+            await this.authService.resetPassword(token, password);
+
+            res.json({
+                success: true,
+                message: 'Password has been reset successfully',
+                data: null,
+            });
+        } catch (error) {
+            next(error);
+        }
+    };
+
     getProfile = async (req, res, next) => {
         try {
             const user = await this.authService.getUserProfile(req.user.id);
@@ -48,6 +259,82 @@ class AuthController {
             next(error);
         }
     };
+
+    updateProfile = async (req, res, next) => {
+        try {
+            const user = await this.authService.updateProfile(req.user.id, req.body);
+
+            res.json({
+                success: true,
+                message: 'User profile updated successfully',
+                data: { user },
+            });
+        } catch (error) {
+            next(error);
+        }
+    };
+
+    changePassword = async (req, res, next) => {
+        try {
+            const { currentPassword, newPassword } = req.body;
+            const result = await this.authService.changePassword(
+                req.user.id,
+                currentPassword,
+                newPassword,
+                RequestContext.from(req)
+            );
+
+            res.json({
+                success: true,
+                message: 'Password changed successfully',
+                data: result,
+            });
+        } catch (error) {
+            next(error);
+        }
+    };
+
+    deleteAccount = async (req, res, next) => {
+        try {
+            await this.authService.deleteAccount(req.user.id, req.body.password);
+
+            res.json({
+                success: true,
+                message: 'Account deleted successfully',
+                data: null,
+            });
+        } catch (error) {
+            next(error);
+        }
+    };
+
+    listSessions = async (req, res, next) => {
+        try {
+            const sessions = await this.sessionService.listSessions(req.user.id, req.user.sid);
+
+            res.json({
+                success: true,
+                message: 'Sessions retrieved successfully',
+                data: sessions,
+            });
+        } catch (error) {
+            next(error);
+        }
+    };
+
+    revokeSession = async (req, res, next) => {
+        try {
+            await this.sessionService.revokeSession(req.params.id, req.user.id);
+
+            res.json({
+                success: true,
+                message: 'Session revoked successfully',
+                data: null,
+            });
+        } catch (error) {
+            next(error);
+        }
+    };
 }
 
 module.exports = new AuthController();
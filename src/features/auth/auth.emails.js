@@ -0,0 +1,42 @@
+const appUrl = () => (process.env.APP_URL || `http://localhost:${process.env.PORT || 3000}`).replace(/\/$/, '');
+
+class AuthEmails {
+    static passwordReset(user, token, expiresAt) {
+        const link = `${appUrl()}/reset-password?token=${encodeURIComponent(token)}`;
+
+        return {
+            to: user.email,
+            subject: 'Reset your password',
+            text: [
+                `Hi ${user.firstName || user.username},`,
+                '',
+                'We received a request to reset your password. Use the link below to choose a new one:',
+                '',
+                link,
+                '',
+                `The link expires at ${expiresAt.toISOString()} and can only be used once.`,
+                'If you did not request a password reset, you can ignore this email.',
+            ].join('\n'),
+        };
+    }
+
+    static emailVerification(user, token) {
+        const link = `${appUrl()}/api/auth/verify-email?token=${encodeURIComponent(token)}`;
+
+        return {
+            to: user.email,
+            subject: 'Verify your email address',
+            text: [
+                `Hi ${user.firstName || user.username},`,
+                '',
+                'Please confirm your email address by opening the link below:',
+                '',
+                link,
+                '',
+                'If you did not create an account, you can ignore this email.',
+            ].join('\n'),
+        };
+    }
+}
+
+module.exports = AuthEmails;
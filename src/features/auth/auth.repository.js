@@ -73,6 +73,9 @@ class AuthRepository {
                     createdAt: true,
                     updatedAt: true,
                     lastLogin: true,
+                    role: true,
+                    emailVerified: true,
+                    twoFactorEnabled: true,
                 },
             });
             return user;
@@ -94,6 +97,133 @@ class AuthRepository {
         }
     }
 
+    async updatePassword(userId, hashedPassword) {
+        try {
+            await this.prisma.user.update({
+                where: { id: userId },
+                data: { password: hashedPassword, passwordResetRequired: false },
+            });
+        } catch (error) {
+            logger.error('Error in updatePassword:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Replaces the stored hash of the same password, e.g. after a bcrypt cost change.
+     */
+    async updatePasswordHash(userId, hashedPassword) {
+        try {
+            await this.prisma.user.update({
+                where: { id: userId },
+                data: { password: hashedPassword },
+            });
+        } catch (error) {
+            logger.error('Error in updatePasswordHash:', error);
+            throw error;
+        }
+    }
+
+    async setDisabled(userId, disabled) {
+        try {
+            await this.prisma.user.update({
+                where: { id: userId },
+                data: { disabledAt: disabled ? new Date() : null },
+            });
+        } catch (error) {
+            logger.error('Error in setDisabled:', error);
+            throw error;
+        }
+    }
+
+    async requirePasswordReset(userId) {
+        try {
+            await this.prisma.user.update({
+                where: { id: userId },
+                data: { passwordResetRequired: true },
+            });
+        } catch (error) {
+            logger.error('Error in requirePasswordReset:', error);
+            throw error;
+        }
+    }
+
+    async markEmailVerified(userId) {
+        try {
+            await this.prisma.user.update({
+                where: { id: userId },
+                data: {
+                    emailVerified: true,
+                    emailVerifiedAt: new Date(),
+                },
+            });
+        } catch (error) {
+            logger.error('Error in markEmailVerified:', error);
+            throw error;
+        }
+    }
+
+    async updateProfile(userId, profileData) {
+        try {
+            return await this.prisma.user.update({
+                where: { id: userId },
+                data: {
+                    ...(profileData.username !== undefined && { username: profileData.username }),
+                    ...(profileData.email !== undefined && {
+                        email: profileData.email,
+                        emailVerified: false,
+                        emailVerifiedAt: null,
+                    }),
+                    ...(profileData.firstName !== undefined && { firstName: profileData.firstName }),
+                    ...(profileData.lastName !== undefined && { lastName: profileData.lastName }),
+                },
+                select: {
+                    id: true,
+                    username: true,
+                    email: true,
+                    firstName: true,
+                    lastName: true,
+                    createdAt: true,
+                    updatedAt: true,
+                    lastLogin: true,
+                    role: true,
+                    emailVerified: true,
+                    twoFactorEnabled: true,
+                },
+            });
+        } catch (error) {
+            logger.error('Error in updateProfile:', error);
+            throw error;
+        }
+    }
+
+    async findPasswordHash(userId) {
+        try {
+            const user = await this.prisma.user.findUnique({
+                where: { id: userId },
+                select: { password: true },
+            });
+            return user ? user.password : null;
+        } catch (error) {
+            logger.error('Error in findPasswordHash:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Items, refresh tokens and other owned records are removed by the cascading relations.
+     */
+    async delete(userId) {
+        try {
+            await this.prisma.user.delete({
+                where: { id: userId },
+            });
+        } catch (error) {
+            logger.error('Error in delete user:', error);
+            throw error;
+        }
+    }
+
     async findById(id) {
         try {
             return await this.prisma.user.findUnique({
@@ -107,6 +237,9 @@ class AuthRepository {
                     createdAt: true,
                     updatedAt: true,
                     lastLogin: true,
+                    role: true,
+                    emailVerified: true,
+                    twoFactorEnabled: true,
                 },
             });
         } catch (error) {
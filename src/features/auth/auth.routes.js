@@ -3,7 +3,28 @@ const router = express.Router();
 const authController = require('./auth.controller');
 const AuthMiddleware = require('../../common/middleware/auth.middleware');
 const ValidateMiddleware = require('../../common/middleware/validate.middleware');
-const { registerSchema, loginSchema } = require('./auth.validator');
+const {
+    registerSchema,
+    loginSchema,
+    refreshTokenSchema,
+    logoutSchema,
+    forgotPasswordSchema,
+    resetPasswordSchema,
+    verifyEmailSchema,
+    resendVerificationSchema,
+    twoFactorLoginSchema,
+    twoFactorConfirmSchema,
+    twoFactorReauthSchema,
+    updateProfileSchema,
+    changePasswordSchema,
+    deleteAccountSchema,
+    sessionParamsSchema,
+    oidcProviderParamsSchema,
+    oidcCallbackSchema,
+} = require('./auth.validator');
+
+// Account endpoints need an interactive login; API keys are rejected
+const requireSession = [AuthMiddleware.authenticate, AuthMiddleware.rejectApiKeys];
 
 /**
  * @swagger
@@ -76,12 +97,327 @@ router.post('/register', ValidateMiddleware.validate(registerSchema), authContro
  *                 example: password123
  *     responses:
  *       200:
- *         description: Login successful
+ *         description: Login successful, or a challenge token when two-factor authentication is enabled
  *       401:
  *         description: Invalid credentials
+ *       423:
+ *         description: Account temporarily locked after too many failed attempts (see Retry-After header)
+ *       429:
+ *         description: Too many failed attempts, retry after the delay in the Retry-After header
  */
 router.post('/login', ValidateMiddleware.validate(loginSchema), authController.login);
 
+/**
+ * @swagger
+ * /api/auth/login/2fa:
+ *   post:
+ *     summary: Complete a login with a TOTP or recovery code
+ *     tags: [Authentication]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - challengeToken
+ *               - code
+ *             properties:
+ *               challengeToken:
+ *                 type: string
+ *               code:
+ *                 type: string
+ *                 example: '123456'
+ *     responses:
+ *       200:
+ *         description: Login successful
+ *       401:
+ *         description: Invalid code or expired challenge
+ *       423:
+ *         description: Account temporarily locked
+ */
+router.post('/login/2fa', ValidateMiddleware.validate(twoFactorLoginSchema), authController.loginWithTwoFactor);
+
+/**
+ * @swagger
+ * /api/auth/2fa/setup:
+ *   post:
+ *     summary: Start two-factor enrollment
+ *     description: Returns a new TOTP secret and otpauth URI. Two-factor stays disabled until confirmed.
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Secret generated
+ *       400:
+ *         description: Two-factor authentication is already enabled
+ */
+router.post('/2fa/setup', requireSession, authController.setupTwoFactor);
+
+/**
+ * @swagger
+ * /api/auth/2fa/confirm:
+ *   post:
+ *     summary: Confirm enrollment with a code from the authenticator app
+ *     description: Enables two-factor authentication and returns one-time recovery codes, shown only once.
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - code
+ *             properties:
+ *               code:
+ *                 type: string
+ *                 example: '123456'
+ *     responses:
+ *       200:
+ *         description: Two-factor authentication enabled
+ *       400:
+ *         description: Invalid code
+ */
+router.post('/2fa/confirm', requireSession, ValidateMiddleware.validate(twoFactorConfirmSchema), authController.confirmTwoFactor);
+
+/**
+ * @swagger
+ * /api/auth/2fa/disable:
+ *   post:
+ *     summary: Disable two-factor authentication
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - password
+ *               - code
+ *             properties:
+ *               password:
+ *                 type: string
+ *               code:
+ *                 type: string
+ *                 description: TOTP or recovery code
+ *     responses:
+ *       200:
+ *         description: Two-factor authentication disabled
+ *       401:
+ *         description: Invalid credentials
+ */
+router.post('/2fa/disable', requireSession, ValidateMiddleware.validate(twoFactorReauthSchema), authController.disableTwoFactor);
+
+/**
+ * @swagger
+ * /api/auth/2fa/recovery-codes:
+ *   post:
+ *     summary: Replace all recovery codes
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - password
+ *               - code
+ *             properties:
+ *               password:
+ *                 type: string
+ *               code:
+ *                 type: string
+ *                 description: TOTP or recovery code
+ *     responses:
+ *       200:
+ *         description: Recovery codes regenerated
+ *       401:
+ *         description: Invalid credentials
+ */
+router.post('/2fa/recovery-codes', requireSession, ValidateMiddleware.validate(twoFactorReauthSchema), authController.regenerateRecoveryCodes);
+
+/**
+ * @swagger
+ * /api/auth/refresh:
+ *   post:
+ *     summary: Exchange a refresh token for a new access and refresh token
+ *     description: Refresh tokens are single-use. Presenting an already rotated token revokes every token in its family.
+ *     tags: [Authentication]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - refreshToken
+ *             properties:
+ *               refreshToken:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Token refreshed successfully
+ *       401:
+ *         description: Invalid, expired or reused refresh token
+ */
+router.post('/refresh', ValidateMiddleware.validate(refreshTokenSchema), authController.refresh);
+
+/**
+ * @swagger
+ * /api/auth/logout:
+ *   post:
+ *     summary: Revoke the current access token
+ *     description: When a refresh token is supplied, its token family is revoked as well.
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: false
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               refreshToken:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Logout successful
+ *       401:
+ *         description: Unauthorized
+ */
+router.post('/logout', requireSession, ValidateMiddleware.validate(logoutSchema), authController.logout);
+
+/**
+ * @swagger
+ * /api/auth/logout-all:
+ *   post:
+ *     summary: Revoke every access and refresh token of the current user
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Logged out from all sessions
+ *       401:
+ *         description: Unauthorized
+ */
+router.post('/logout-all', requireSession, authController.logoutAll);
+
+/**
+ * @swagger
+ * /api/auth/verify-email:
+ *   get:
+ *     summary: Verify an email address using the link sent at registration
+ *     tags: [Authentication]
+ *     parameters:
+ *       - in: query
+ *         name: token
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Email verified successfully
+ *       400:
+ *         description: Invalid or expired verification link
+ */
+router.get('/verify-email', ValidateMiddleware.validate(verifyEmailSchema, 'query'), authController.verifyEmail);
+
+/**
+ * @swagger
+ * /api/auth/resend-verification:
+ *   post:
+ *     summary: Send a new verification email
+ *     description: Responds identically whether or not the email is registered.
+ *     tags: [Authentication]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - email
+ *             properties:
+ *               email:
+ *                 type: string
+ *                 example: john@example.com
+ *     responses:
+ *       200:
+ *         description: Verification email sent if applicable
+ *       400:
+ *         description: Bad request
+ */
+router.post('/resend-verification', ValidateMiddleware.validate(resendVerificationSchema), authController.resendVerification);
+
+/**
+ * @swagger
+ * /api/auth/forgot-password:
+ *   post:
+ *     summary: Request a password reset link
+ *     description: Responds identically whether or not the email is registered.
+ *     tags: [Authentication]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - email
+ *             properties:
+ *               email:
+ *                 type: string
+ *                 example: john@example.com
+ *     responses:
+ *       200:
+ *         description: Reset link sent if the account exists
+ *       400:
+ *         description: Bad request
+ */
+router.post('/forgot-password', ValidateMiddleware.validate(forgotPasswordSchema), authController.forgotPassword);
+
+/**
+ * @swagger
+ * /api/auth/reset-password:
+ *   post:
+ *     summary: Set a new password using a reset token
+ *     description: Reset tokens are single-use. A successful reset revokes all existing sessions.
+ *     tags: [Authentication]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - token
+ *               - password
+ *             properties:
+ *               token:
+ *                 type: string
+ *               password:
+ *                 type: string
+ *                 example: newpassword123
+ *     responses:
+ *       200:
+ *         description: Password has been reset successfully
+ *       400:
+ *         description: Invalid or expired reset token
+ */
+router.post('/reset-password', ValidateMiddleware.validate(resetPasswordSchema), authController.resetPassword);
+
 /**
  * @swagger
  * /api/auth/me:
@@ -96,6 +432,199 @@ router.post('/login', ValidateMiddleware.validate(loginSchema), authController.l
  *       401:
  *         description: Unauthorized
  */
-router.get('/me', AuthMiddleware.authenticate, authController.getProfile);
+router.get('/me', requireSession, authController.getProfile);
+
+/**
+ * @swagger
+ * /api/auth/me:
+ *   patch:
+ *     summary: Update current user profile
+ *     description: Changing the email marks it unverified and sends a new verification link.
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               username:
+ *                 type: string
+ *                 example: johndoe
+ *               email:
+ *                 type: string
+ *                 example: john@example.com
+ *               firstName:
+ *                 type: string
+ *                 nullable: true
+ *                 example: John
+ *               lastName:
+ *                 type: string
+ *                 nullable: true
+ *                 example: Doe
+ *     responses:
+ *       200:
+ *         description: User profile updated successfully
+ *       400:
+ *         description: Validation error or username/email already taken
+ *       401:
+ *         description: Unauthorized
+ */
+router.patch('/me', requireSession, ValidateMiddleware.validate(updateProfileSchema), authController.updateProfile);
+
+/**
+ * @swagger
+ * /api/auth/me:
+ *   delete:
+ *     summary: Delete current user account and all of its items
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - password
+ *             properties:
+ *               password:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Account deleted successfully
+ *       401:
+ *         description: Invalid password
+ */
+router.delete('/me', requireSession, ValidateMiddleware.validate(deleteAccountSchema), authController.deleteAccount);
+
+/**
+ * @swagger
+ * /api/auth/change-password:
+ *   post:
+ *     summary: Change password
+ *     description: Revokes all existing sessions and returns a new token pair.
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - currentPassword
+ *               - newPassword
+ *             properties:
+ *               currentPassword:
+ *                 type: string
+ *               newPassword:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Password changed successfully
+ *       401:
+ *         description: Invalid current password
+ */
+router.post('/change-password', requireSession, ValidateMiddleware.validate(changePasswordSchema), authController.changePassword);
+
+/**
+ * @swagger
+ * /api/auth/sessions:
+ *   get:
+ *     summary: List active sessions of the current user
+ *     description: One entry per login (device). The session making the request is flagged with `current`.
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Sessions retrieved successfully
+ *       401:
+ *         description: Unauthorized
+ */
+router.get('/sessions', requireSession, authController.listSessions);
+
+/**
+ * @swagger
+ * /api/auth/sessions/{id}:
+ *   delete:
+ *     summary: Revoke a session
+ *     description: Signs the device out. Its access and refresh tokens stop working immediately.
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: Session revoked successfully
+ *       404:
+ *         description: Session not found
+ */
+router.delete('/sessions/:id', requireSession, ValidateMiddleware.validate(sessionParamsSchema, 'params'), authController.revokeSession);
+
+/**
+ * @swagger
+ * /api/auth/oidc/{provider}/start:
+ *   get:
+ *     summary: Start a login with an external OpenID Connect provider
+ *     description: "Redirects to the provider's authorization endpoint (authorization code + PKCE). Clients sending `Accept: application/json` receive the URL instead."
+ *     tags: [Authentication]
+ *     parameters:
+ *       - in: path
+ *         name: provider
+ *         required: true
+ *         schema:
+ *           type: string
+ *         example: company
+ *     responses:
+ *       302:
+ *         description: Redirect to the identity provider
+ *       404:
+ *         description: Unknown identity provider
+ */
+router.get('/oidc/:provider/start', ValidateMiddleware.validate(oidcProviderParamsSchema, 'params'), authController.startOidcLogin);
+
+/**
+ * @swagger
+ * /api/auth/oidc/{provider}/callback:
+ *   get:
+ *     summary: Complete a login with an external OpenID Connect provider
+ *     description: Validates the ID token and signs in the account with the same verified email. Returns the same payload as /api/auth/login, including a two-factor challenge when enabled.
+ *     tags: [Authentication]
+ *     parameters:
+ *       - in: path
+ *         name: provider
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: code
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: state
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Login successful
+ *       400:
+ *         description: Invalid or expired login request
+ *       403:
+ *         description: No account with a verified matching email
+ */
+router.get('/oidc/:provider/callback', ValidateMiddleware.validate(oidcProviderParamsSchema, 'params'), ValidateMiddleware.validate(oidcCallbackSchema, 'query'), authController.completeOidcLogin);
 
 module.exports = router;
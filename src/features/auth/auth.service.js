@@ -1,15 +1,38 @@
-const bcrypt = require('bcryptjs');
 const jwt = require('jsonwebtoken');
 const AuthRepository = require('./auth.repository');
+const RefreshTokenRepository = require('./refresh-token.repository');
+const PasswordResetRepository = require('./password-reset.repository');
+const LoginThrottleService = require('./login-throttle.service');
+const TwoFactorService = require('./two-factor.service');
+const SessionService = require('./session.service');
+const AuthEmails = require('./auth.emails');
+const mailer = require('../../common/mailer/mailer');
+const jwtService = require('../../common/jwt/jwt');
+const TokenUtils = require('../../common/utils/token');
+const PasswordHasher = require('../../common/utils/password-hasher');
+const PasswordPolicy = require('../../common/utils/password-policy');
+const Duration = require('../../common/utils/duration');
+const revocationStore = require('../../common/stores/revocation.store');
+const Environment = require('../../common/config/environment');
+const Audit = require('../../common/utils/audit');
 const logger = require('../../common/utils/logger');
 const AppError = require('../../common/errors/AppError');
 
+// Verification links are signed with their own secret: JWT_SECRET is unset when tokens are
+// signed with a keyset, and a keyset rotation would invalidate links that live for a day.
+const getEmailVerificationSecret = () => Environment.require('EMAIL_VERIFICATION_SECRET');
+
 class AuthService {
     constructor() {
         this.authRepository = new AuthRepository();
+        this.refreshTokenRepository = new RefreshTokenRepository();
+        this.passwordResetRepository = new PasswordResetRepository();
+        this.loginThrottleService = new LoginThrottleService();
+        this.twoFactorService = new TwoFactorService();
+        this.sessionService = new SessionService();
     }
 
-    async register(userData) {
+    async register(userData, context = {}) {
         try {
             const usernameExists = await this.authRepository.usernameExists(userData.username);
             if (usernameExists) {
@@ -21,7 +44,9 @@ class AuthService {
                 throw new AppError('Email already exists', 400);
             }
 
-            const hashedPassword = await bcrypt.hash(userData.password, 10);
+            this.assertPasswordPolicy(userData.password, userData);
+
+            const hashedPassword = await PasswordHasher.hash(userData.password);
 
             const user = await this.authRepository.create({
                 username: userData.username,
@@ -31,44 +56,564 @@ class AuthService {
                 lastName: userData.lastName || null,
             });
 
-            const token = this.generateToken(user);
+            const tokens = await this.issueTokens(user, context);
+
+            await Audit.record('auth.register', {
+                actorId: user.id,
+                targetType: 'user',
+                targetId: user.id,
+                context,
+                after: { username: user.username, email: user.email },
+            });
+
+            this.sendVerificationEmail(user);
 
             logger.info(`User registered successfully: ${user.username}`);
 
-            return { user, token };
+            return { user, ...tokens };
         } catch (error) {
             logger.error('Error in register service:', error);
             throw error;
         }
     }
 
-    async login(username, password) {
+    async login(username, password, context = {}) {
         try {
+            await this.loginThrottleService.assertAllowed(username, context.ip);
+
             const user = await this.authRepository.findByUsername(username);
-            if (!user) {
+            // Unknown usernames are checked against a dummy hash so timing does not reveal them
+            const isPasswordValid = await PasswordHasher.verify(password, user ? user.password : null);
+            if (!isPasswordValid) {
+                await this.loginThrottleService.registerFailure(username, context.ip);
+                await Audit.record('auth.login.failed', {
+                    targetType: 'user',
+                    targetId: user ? user.id : null,
+                    context,
+                    username,
+                    reason: user ? 'invalid_password' : 'unknown_user',
+                });
                 throw new AppError('Invalid credentials', 401);
             }
 
-            const isPasswordValid = await bcrypt.compare(password, user.password);
-            if (!isPasswordValid) {
-                throw new AppError('Invalid credentials', 401);
+            await this.rehashPasswordIfNeeded(user, password);
+
+            this.assertAccountEnabled(user);
+
+            if (user.passwordResetRequired) {
+                throw new AppError('A password reset is required. Use the link sent to your email to set a new password.', 403);
+            }
+
+            return await this.continueLogin(user, context);
+        } catch (error) {
+            logger.error('Error in login service:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Runs once the first factor (password or identity provider) has been verified:
+     * either issues a two-factor challenge or completes the login.
+     */
+    async continueLogin(user, context) {
+        this.assertAccountEnabled(user);
+
+        if (user.twoFactorEnabled) {
+            logger.info(`Two-factor challenge issued for user: ${user.username}`);
+            return {
+                twoFactorRequired: true,
+                challengeToken: this.generateTwoFactorChallenge(user),
+            };
+        }
+
+        return this.completeLogin(user, context);
+    }
+
+    /**
+     * Second login step for accounts with two-factor authentication enabled.
+     */
+    async loginWithTwoFactor(challengeToken, code, context = {}) {
+        try {
+            let payload;
+            try {
+                payload = jwtService.verify(challengeToken);
+            } catch (error) {
+                throw new AppError('Invalid or expired two-factor challenge', 401);
             }
 
-            await this.authRepository.updateLastLogin(user.id);
+            if (payload.purpose !== '2fa-challenge') {
+                throw new AppError('Invalid or expired two-factor challenge', 401);
+            }
 
-            const { password: _, ...userWithoutPassword } = user;
+            const user = await this.authRepository.findByUsername(payload.username);
+            if (!user || user.id !== parseInt(payload.sub, 10)) {
+                throw new AppError('Invalid or expired two-factor challenge', 401);
+            }
 
-            const token = this.generateToken(userWithoutPassword);
+            await this.loginThrottleService.assertAllowed(user.username, context.ip);
 
-            logger.info(`User logged in successfully: ${user.username}`);
+            const isCodeValid = await this.twoFactorService.verifyCode(user, code);
+            if (!isCodeValid) {
+                await this.loginThrottleService.registerFailure(user.username, context.ip);
+                await Audit.record('auth.login.failed', {
+                    targetType: 'user',
+                    targetId: user.id,
+                    context,
+                    username: user.username,
+                    reason: 'invalid_two_factor_code',
+                });
+                throw new AppError('Invalid two-factor code', 401);
+            }
 
-            return { user: userWithoutPassword, token };
+            return await this.completeLogin(user, context);
         } catch (error) {
-            logger.error('Error in login service:', error);
+            logger.error('Error in loginWithTwoFactor service:', error);
+            throw error;
+        }
+    }
+
+    async completeLogin(user, context) {
+        this.assertAccountEnabled(user);
+
+        await this.loginThrottleService.registerSuccess(user.username);
+        await this.authRepository.updateLastLogin(user.id);
+
+        const safeUser = this.sanitizeUser(user);
+        const tokens = await this.issueTokens(safeUser, context);
+
+        await Audit.record('auth.login.succeeded', {
+            actorId: user.id,
+            targetType: 'user',
+            targetId: user.id,
+            context,
+        });
+        logger.info(`User logged in successfully: ${user.username}`);
+
+        return { user: safeUser, ...tokens };
+    }
+
+    /**
+     * Upgrades hashes made with an older cost or algorithm while the plain password is at hand.
+     * Failures are logged only; they must not block the login.
+     */
+    async rehashPasswordIfNeeded(user, password) {
+        if (!PasswordHasher.needsRehash(user.password)) {
+            return;
+        }
+
+        try {
+            await this.authRepository.updatePasswordHash(user.id, await PasswordHasher.hash(password));
+            logger.info(`Password hash upgraded for user: ${user.username}`);
+        } catch (error) {
+            logger.error(`Failed to upgrade password hash for user ${user.id}:`, error);
+        }
+    }
+
+    assertPasswordPolicy(password, user) {
+        const violations = PasswordPolicy.validate(password, user);
+        if (violations.length > 0) {
+            throw new AppError(violations.join(', '), 400, true, { details: { password: violations } });
+        }
+    }
+
+    assertAccountEnabled(user) {
+        if (user.disabledAt) {
+            throw new AppError('This account has been disabled.', 403);
+        }
+    }
+
+    generateTwoFactorChallenge(user) {
+        return jwtService.sign(
+            {
+                purpose: '2fa-challenge',
+                username: user.username,
+            },
+            {
+                subject: String(user.id),
+                expiresIn: process.env.TWO_FACTOR_CHALLENGE_TTL || '5m',
+            }
+        );
+    }
+
+    /**
+     * Strips credentials and secrets from a full user record.
+     */
+    sanitizeUser(user) {
+        const {
+            password: _password,
+            twoFactorSecret: _twoFactorSecret,
+            twoFactorLastCounter: _twoFactorLastCounter,
+            ...safeUser
+        } = user;
+        return safeUser;
+    }
+
+    async refresh(refreshToken) {
+        try {
+            const stored = await this.refreshTokenRepository.findByHash(TokenUtils.hash(refreshToken));
+            if (!stored) {
+                throw new AppError('Invalid refresh token', 401);
+            }
+
+            if (stored.revokedAt) {
+                await this.handleRefreshTokenReuse(stored);
+            }
+
+            if (stored.expiresAt <= new Date()) {
+                throw new AppError('Refresh token has expired', 401);
+            }
+
+            // Tokens issued before sessions were tracked cannot be tied to one; require a new login
+            if (!stored.sessionId) {
+                throw new AppError('Invalid refresh token', 401);
+            }
+
+            await this.sessionService.assertActive(stored.sessionId, stored.userId);
+
+            const user = await this.authRepository.findById(stored.userId);
+            if (!user) {
+                throw new AppError('Invalid refresh token', 401);
+            }
+
+            const refreshTokenValue = TokenUtils.generate();
+            const expiresAt = this.getRefreshTokenExpiry();
+            const rotated = await this.refreshTokenRepository.rotate(stored.id, {
+                tokenHash: TokenUtils.hash(refreshTokenValue),
+                familyId: stored.familyId,
+                userId: user.id,
+                sessionId: stored.sessionId,
+                expiresAt,
+            });
+
+            // Another request consumed this token between the lookup and the rotation
+            if (!rotated) {
+                await this.handleRefreshTokenReuse(stored);
+            }
+
+            await this.sessionService.extend(stored.sessionId, expiresAt);
+
+            logger.info(`Refresh token rotated for user: ${user.username}`);
+
+            return {
+                token: this.generateToken(user, stored.sessionId),
+                refreshToken: refreshTokenValue,
+            };
+        } catch (error) {
+            logger.error('Error in refresh service:', error);
+            throw error;
+        }
+    }
+
+    async handleRefreshTokenReuse(storedToken) {
+        const revokedCount = await this.refreshTokenRepository.revokeFamily(storedToken.familyId);
+        if (storedToken.sessionId) {
+            await this.sessionService.revokeSession(storedToken.sessionId, storedToken.userId);
+        }
+        logger.warn(`Refresh token reuse detected for user ${storedToken.userId}, revoked ${revokedCount} token(s) in family ${storedToken.familyId}`);
+        throw new AppError('Refresh token has been revoked', 401);
+    }
+
+    async logout(tokenPayload, refreshToken) {
+        try {
+            await revocationStore.revokeToken(
+                tokenPayload.jti,
+                tokenPayload.id,
+                new Date(tokenPayload.exp * 1000)
+            );
+
+            await this.sessionService.revokeSession(tokenPayload.sid, tokenPayload.id);
+
+            if (refreshToken) {
+                const stored = await this.refreshTokenRepository.findByHash(TokenUtils.hash(refreshToken));
+                if (stored && stored.userId === tokenPayload.id) {
+                    await this.refreshTokenRepository.revokeFamily(stored.familyId);
+                }
+            }
+
+            logger.info(`User logged out: ${tokenPayload.username}`);
+        } catch (error) {
+            logger.error('Error in logout service:', error);
+            throw error;
+        }
+    }
+
+    async logoutAll(userId) {
+        try {
+            await this.revokeAllSessions(userId);
+
+            logger.info(`User logged out from all sessions: ${userId}`);
+        } catch (error) {
+            logger.error('Error in logoutAll service:', error);
+            throw error;
+        }
+    }
+
+    async verifyEmail(token) {
+        try {
+            const secret = getEmailVerificationSecret();
+            let payload;
+            try {
+                payload = jwt.verify(token, secret);
+            } catch (error) {
+                throw new AppError('Invalid or expired verification link', 400);
+            }
+
+            if (payload.purpose !== 'email-verification') {
+                throw new AppError('Invalid or expired verification link', 400);
+            }
+
+            const user = await this.authRepository.findById(parseInt(payload.sub, 10));
+            // A link issued for a previous email address must not verify the current one
+            if (!user || user.email !== payload.email) {
+                throw new AppError('Invalid or expired verification link', 400);
+            }
+
+            if (!user.emailVerified) {
+                await this.authRepository.markEmailVerified(user.id);
+                logger.info(`Email verified for user: ${user.username}`);
+            }
+        } catch (error) {
+            logger.error('Error in verifyEmail service:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Like forgotPassword, does not reveal whether the email is registered.
+     */
+    async resendVerification(email) {
+        try {
+            const user = await this.authRepository.findByEmail(email);
+            if (!user || user.emailVerified) {
+                return;
+            }
+
+            this.sendVerificationEmail(user);
+        } catch (error) {
+            logger.error('Error in resendVerification service:', error);
+            throw error;
+        }
+    }
+
+    sendVerificationEmail(user) {
+        const token = jwt.sign(
+            {
+                purpose: 'email-verification',
+                email: user.email,
+            },
+            getEmailVerificationSecret(),
+            {
+                subject: String(user.id),
+                expiresIn: process.env.EMAIL_VERIFICATION_TOKEN_TTL || '24h',
+            }
+        );
+
+        mailer.send(AuthEmails.emailVerification(user, token)).catch((error) => {
+            logger.error(`Failed to send verification email to user ${user.id}:`, error);
+        });
+    }
+
+    /**
+     * Always resolves the same way so callers cannot tell whether the email is registered.
+     */
+    async forgotPassword(email) {
+        try {
+            const user = await this.authRepository.findByEmail(email);
+            if (!user) {
+                logger.info('Password reset requested for unknown email');
+                return;
+            }
+
+            // Not awaited: the token writes would make known emails answer measurably slower
+            this.sendPasswordReset(user).catch((error) => {
+                logger.error(`Failed to issue password reset for user ${user.id}:`, error);
+            });
+
+            logger.info(`Password reset requested for user: ${user.username}`);
+        } catch (error) {
+            logger.error('Error in forgotPassword service:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Used by admins: signs the user out everywhere and blocks password logins
+     * until a new password is set through the emailed reset link.
+     */
+    async forcePasswordReset(userId) {
+        try {
+            const user = await this.authRepository.findById(userId);
+            if (!user) {
+                throw new AppError('User not found', 404);
+            }
+
+            await this.authRepository.requirePasswordReset(userId);
+            await this.revokeAllSessions(userId);
+            await this.sendPasswordReset(user);
+        } catch (error) {
+            logger.error('Error in forcePasswordReset service:', error);
+            throw error;
+        }
+    }
+
+    async sendPasswordReset(user) {
+        await this.passwordResetRepository.invalidateAllForUser(user.id);
+
+        const resetToken = TokenUtils.generate(32);
+        const expiresAt = new Date(
+            Date.now() + Duration.toMilliseconds(process.env.PASSWORD_RESET_TOKEN_TTL, '1h')
+        );
+
+        await this.passwordResetRepository.create({
+            tokenHash: TokenUtils.hash(resetToken),
+            userId: user.id,
+            expiresAt,
+        });
+
+        // Not awaited, so response time does not depend on mail delivery
+        mailer.send(AuthEmails.passwordReset(user, resetToken, expiresAt)).catch((error) => {
+            logger.error(`Failed to send password reset email to user ${user.id}:`, error);
+        });
+    }
+
+    async resetPassword(resetToken, newPassword) {
+        try {
+            const stored = await this.passwordResetRepository.findByHash(TokenUtils.hash(resetToken));
+            if (!stored || stored.usedAt || stored.expiresAt <= new Date()) {
+                throw new AppError('Invalid or expired reset token', 400);
+            }
+
+            // Checked before the token is consumed so the user can retry with a better password
+            const user = await this.authRepository.findById(stored.userId);
+            this.assertPasswordPolicy(newPassword, user);
+
+            const consumed = await this.passwordResetRepository.markUsed(stored.id);
+            if (!consumed) {
+                throw new AppError('Invalid or expired reset token', 400);
+            }
+
+            const hashedPassword = await PasswordHasher.hash(newPassword);
+            await this.authRepository.updatePassword(stored.userId, hashedPassword);
+
+            await this.passwordResetRepository.invalidateAllForUser(stored.userId);
+            await this.revokeAllSessions(stored.userId);
+
+            logger.info(`Password reset completed for user: ${stored.userId}`);
+        } catch (error) {
+            logger.error('Error in resetPassword service:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Invalidates every access and refresh token issued to the user so far.
+     */
+    async revokeAllSessions(userId) {
+        const now = new Date();
+        // iat has one-second resolution. Tokens from earlier seconds are revoked; tokens issued
+        // during the current second stay valid so a fresh pair can be issued right after this call.
+        const revokedBefore = new Date(Math.floor(now.getTime() / 1000) * 1000);
+        const expiresAt = new Date(now.getTime() + this.getAccessTokenTtl());
+
+        await revocationStore.revokeUserTokens(userId, revokedBefore, expiresAt);
+        await this.sessionService.revokeAllForUser(userId);
+        await this.refreshTokenRepository.revokeAllForUser(userId);
+    }
+
+    async updateProfile(userId, profileData) {
+        try {
+            const currentUser = await this.authRepository.findById(userId);
+            if (!currentUser) {
+                throw new AppError('User not found', 404);
+            }
+
+            const changes = { ...profileData };
+
+            if (changes.username === currentUser.username) {
+                delete changes.username;
+            } else if (changes.username !== undefined
+                && await this.authRepository.usernameExists(changes.username)) {
+                throw new AppError('Username already exists', 400);
+            }
+
+            if (changes.email === currentUser.email) {
+                delete changes.email;
+            } else if (changes.email !== undefined
+                && await this.authRepository.emailExists(changes.email)) {
+                throw new AppError('Email already exists', 400);
+            }
+
+            const user = await this.authRepository.updateProfile(userId, changes);
+
+            if (changes.email !== undefined) {
+                this.sendVerificationEmail(user);
+            }
+
+            logger.info(`Profile updated for user: ${user.username}`);
+
+            return user;
+        } catch (error) {
+            logger.error('Error in updateProfile service:', error);
             throw error;
         }
     }
 
+    /**
+     * Changing the password signs out every other session; the caller gets a fresh token pair.
+     */
+    async changePassword(userId, currentPassword, newPassword, context = {}) {
+        try {
+            await this.assertPassword(userId, currentPassword);
+
+            if (currentPassword === newPassword) {
+                throw new AppError('New password must be different from the current password', 400);
+            }
+
+            const user = await this.authRepository.findById(userId);
+            this.assertPasswordPolicy(newPassword, user);
+
+            const hashedPassword = await PasswordHasher.hash(newPassword);
+            await this.authRepository.updatePassword(userId, hashedPassword);
+            await this.revokeAllSessions(userId);
+
+            const tokens = await this.issueTokens(user, context);
+
+            logger.info(`Password changed for user: ${user.username}`);
+
+            return tokens;
+        } catch (error) {
+            logger.error('Error in changePassword service:', error);
+            throw error;
+        }
+    }
+
+    async deleteAccount(userId, password) {
+        try {
+            await this.assertPassword(userId, password);
+
+            // Revoke first: once the row is gone there is nothing left to tie tokens to
+            await this.revokeAllSessions(userId);
+            await this.authRepository.delete(userId);
+
+            logger.info(`Account deleted: ${userId}`);
+        } catch (error) {
+            logger.error('Error in deleteAccount service:', error);
+            throw error;
+        }
+    }
+
+    async assertPassword(userId, password) {
+        const passwordHash = await this.authRepository.findPasswordHash(userId);
+        if (!passwordHash) {
+            throw new AppError('User not found', 404);
+        }
+
+        const isPasswordValid = await PasswordHasher.verify(password, passwordHash);
+        if (!isPasswordValid) {
+            throw new AppError('Invalid password', 401);
+        }
+    }
+
     async getUserProfile(userId) {
         try {
             const user = await this.authRepository.findById(userId);
@@ -83,21 +628,58 @@ class AuthService {
         }
     }
 
-    generateToken(user) {
-        return jwt.sign(
+    generateToken(user, sessionId) {
+        return jwtService.sign(
             {
                 id: user.id,
                 username: user.username,
                 email: user.email,
+                role: user.role,
+                emailVerified: !!user.emailVerified,
+                sid: sessionId,
             },
-            process.env.JWT_SECRET,
-            { expiresIn: process.env.JWT_EXPIRES_IN || '24h' }
+            {
+                expiresIn: process.env.JWT_EXPIRES_IN || '15m',
+                jwtid: TokenUtils.uuid(),
+            }
         );
     }
 
+    getAccessTokenTtl() {
+        return Duration.toMilliseconds(process.env.JWT_EXPIRES_IN, '15m');
+    }
+
+    /**
+     * Starts a new session and returns its first access/refresh token pair.
+     */
+    async issueTokens(user, context = {}) {
+        const refreshToken = TokenUtils.generate();
+        const expiresAt = this.getRefreshTokenExpiry();
+
+        const session = await this.sessionService.createSession(user.id, context, expiresAt);
+
+        await this.refreshTokenRepository.create({
+            tokenHash: TokenUtils.hash(refreshToken),
+            familyId: session.id,
+            userId: user.id,
+            sessionId: session.id,
+            expiresAt,
+        });
+
+        return {
+            token: this.generateToken(user, session.id),
+            refreshToken,
+        };
+    }
+
+    getRefreshTokenExpiry() {
+        const ttlDays = parseInt(process.env.REFRESH_TOKEN_TTL_DAYS, 10) || 7;
+        return new Date(Date.now() + ttlDays * 24 * 60 * 60 * 1000);
+    }
+
     verifyToken(token) {
         try {
-            return jwt.verify(token, process.env.JWT_SECRET);
+            return jwtService.verify(token);
         } catch (error) {
             logger.error('Error verifying token:', error);
             throw new AppError('Invalid or expired token', 401);
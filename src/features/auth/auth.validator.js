@@ -1,5 +1,7 @@
 const Joi = require('joi');
 
+// Password length and content rules are enforced by PasswordPolicy in the service layer
+
 const registerSchema = Joi.object({
   username: Joi.string().alphanum().min(3).max(30).required().messages({
     'string.alphanum': 'Username must only contain alphanumeric characters',
@@ -11,8 +13,7 @@ const registerSchema = Joi.object({
     'string.email': 'Please provide a valid email address',
     'any.required': 'Email is required',
   }),
-  password: Joi.string().min(6).max(100).required().messages({
-    'string.min': 'Password must be at least 6 characters long',
+  password: Joi.string().max(100).required().messages({
     'string.max': 'Password must not exceed 100 characters',
     'any.required': 'Password is required',
   }),
@@ -29,7 +30,140 @@ const loginSchema = Joi.object({
   }),
 });
 
+const refreshTokenSchema = Joi.object({
+  refreshToken: Joi.string().required().messages({
+    'any.required': 'Refresh token is required',
+  }),
+});
+
+const logoutSchema = Joi.object({
+  refreshToken: Joi.string().optional(),
+});
+
+const forgotPasswordSchema = Joi.object({
+  email: Joi.string().email().required().messages({
+    'string.email': 'Please provide a valid email address',
+    'any.required': 'Email is required',
+  }),
+});
+
+const resetPasswordSchema = Joi.object({
+  token: Joi.string().required().messages({
+    'any.required': 'Reset token is required',
+  }),
+  password: Joi.string().max(100).required().messages({
+    'string.max': 'Password must not exceed 100 characters',
+    'any.required': 'Password is required',
+  }),
+});
+
+const verifyEmailSchema = Joi.object({
+  token: Joi.string().required().messages({
+    'any.required': 'Verification token is required',
+  }),
+});
+
+const resendVerificationSchema = Joi.object({
+  email: Joi.string().email().required().messages({
+    'string.email': 'Please provide a valid email address',
+    'any.required': 'Email is required',
+  }),
+});
+
+const twoFactorCodeField = Joi.string().trim().min(6).max(20).required().messages({
+  'string.min': 'Two-factor code must be at least 6 characters long',
+  'any.required': 'Two-factor code is required',
+});
+
+const twoFactorLoginSchema = Joi.object({
+  challengeToken: Joi.string().required().messages({
+    'any.required': 'Challenge token is required',
+  }),
+  code: twoFactorCodeField,
+});
+
+const twoFactorConfirmSchema = Joi.object({
+  code: Joi.string().trim().length(6).pattern(/^\d+$/).required().messages({
+    'string.length': 'Two-factor code must be 6 digits',
+    'string.pattern.base': 'Two-factor code must be 6 digits',
+    'any.required': 'Two-factor code is required',
+  }),
+});
+
+const twoFactorReauthSchema = Joi.object({
+  password: Joi.string().required().messages({
+    'any.required': 'Password is required',
+  }),
+  code: twoFactorCodeField,
+});
+
+const updateProfileSchema = Joi.object({
+  username: Joi.string().alphanum().min(3).max(30).messages({
+    'string.alphanum': 'Username must only contain alphanumeric characters',
+    'string.min': 'Username must be at least 3 characters long',
+    'string.max': 'Username must not exceed 30 characters',
+  }),
+  email: Joi.string().email().messages({
+    'string.email': 'Please provide a valid email address',
+  }),
+  firstName: Joi.string().min(2).max(50).allow(null),
+  lastName: Joi.string().min(2).max(50).allow(null),
+}).min(1).messages({
+  'object.min': 'At least one field must be provided',
+});
+
+const changePasswordSchema = Joi.object({
+  currentPassword: Joi.string().required().messages({
+    'any.required': 'Current password is required',
+  }),
+  newPassword: Joi.string().max(100).required().messages({
+    'string.max': 'Password must not exceed 100 characters',
+    'any.required': 'New password is required',
+  }),
+});
+
+const deleteAccountSchema = Joi.object({
+  password: Joi.string().required().messages({
+    'any.required': 'Password is required',
+  }),
+});
+
+const sessionParamsSchema = Joi.object({
+  id: Joi.string().uuid().required().messages({
+    'string.guid': 'Session ID must be a valid UUID',
+    'any.required': 'Session ID is required',
+  }),
+});
+
+const oidcProviderParamsSchema = Joi.object({
+  provider: Joi.string().pattern(/^[a-z0-9_-]+$/i).max(50).required(),
+});
+
+const oidcCallbackSchema = Joi.object({
+  state: Joi.string().required().messages({
+    'any.required': 'State is required',
+  }),
+  code: Joi.string().optional(),
+  error: Joi.string().optional(),
+  error_description: Joi.string().optional(),
+});
+
 module.exports = {
   registerSchema,
   loginSchema,
+  refreshTokenSchema,
+  logoutSchema,
+  forgotPasswordSchema,
+  resetPasswordSchema,
+  verifyEmailSchema,
+  resendVerificationSchema,
+  twoFactorLoginSchema,
+  twoFactorConfirmSchema,
+  twoFactorReauthSchema,
+  updateProfileSchema,
+  changePasswordSchema,
+  deleteAccountSchema,
+  sessionParamsSchema,
+  oidcProviderParamsSchema,
+  oidcCallbackSchema,
 };
@@ -0,0 +1,107 @@
+const loginAttemptStore = require('../../common/stores/login-attempt.store');
+const Duration = require('../../common/utils/duration');
+const Scheduler = require('../../common/utils/scheduler');
+const Audit = require('../../common/utils/audit');
+const AppError = require('../../common/errors/AppError');
+
+const config = {
+    window: Duration.toMilliseconds(process.env.LOGIN_FAILURE_WINDOW, '15m'),
+    userMaxFailures: parseInt(process.env.LOGIN_MAX_FAILURES, 10) || 5,
+    ipMaxFailures: parseInt(process.env.LOGIN_IP_MAX_FAILURES, 10) || 20,
+    lockoutDuration: Duration.toMilliseconds(process.env.LOGIN_LOCKOUT_DURATION, '15m'),
+    delayAfter: parseInt(process.env.LOGIN_DELAY_AFTER, 10) || 3,
+    delayBase: Duration.toMilliseconds(process.env.LOGIN_DELAY_BASE, '1s'),
+    delayMax: Duration.toMilliseconds(process.env.LOGIN_DELAY_MAX, '30s'),
+};
+
+/**
+ * Tracks failed logins per username and per IP. Repeated failures first earn an
+ * exponentially growing delay (429), then a temporary lockout (423).
+ */
+class LoginThrottleService {
+    async assertAllowed(username, ip) {
+        const now = Date.now();
+
+        for (const key of this.keysFor(username, ip)) {
+            const record = await loginAttemptStore.get(key.id);
+            if (!record || !record.lockedUntil || record.lockedUntil.getTime() <= now) {
+                continue;
+            }
+
+            const retryAfter = Math.ceil((record.lockedUntil.getTime() - now) / 1000);
+            const isLockedOut = record.failures >= key.maxFailures;
+
+            throw new AppError(
+                isLockedOut
+                    ? 'Too many failed login attempts. Account temporarily locked.'
+                    : 'Too many failed login attempts. Please wait before retrying.',
+                isLockedOut ? 423 : 429,
+                true,
+                {
+                    details: { retryAfter, lockedUntil: record.lockedUntil.toISOString() },
+                    headers: { 'Retry-After': String(retryAfter) },
+                }
+            );
+        }
+    }
+
+    async registerFailure(username, ip) {
+        for (const key of this.keysFor(username, ip)) {
+            const record = await loginAttemptStore.recordFailure(key.id, config.window);
+
+            if (record.failures >= key.maxFailures) {
+                const lockedUntil = new Date(Date.now() + config.lockoutDuration);
+                await loginAttemptStore.lock(key.id, lockedUntil);
+
+                await Audit.record('auth.lockout', {
+                    targetType: key.id.startsWith('ip:') ? 'ip' : 'username',
+                    targetId: key.id.startsWith('ip:') ? ip : username,
+                    context: { ip },
+                    failures: record.failures,
+                    lockedUntil: lockedUntil.toISOString(),
+                });
+            } else if (record.failures > config.delayAfter) {
+                const delay = Math.min(
+                    config.delayBase * 2 ** (record.failures - config.delayAfter - 1),
+                    config.delayMax
+                );
+                await loginAttemptStore.lock(key.id, new Date(Date.now() + delay));
+            }
+        }
+    }
+
+    /**
+     * A successful login clears the username counter only, so one valid account
+     * cannot be used to reset the counter of an attacking IP.
+     */
+    async registerSuccess(username) {
+        await loginAttemptStore.reset(this.userKey(username));
+    }
+
+    async unlock(username) {
+        await loginAttemptStore.reset(this.userKey(username));
+    }
+
+    keysFor(username, ip) {
+        const keys = [{ id: this.userKey(username), maxFailures: config.userMaxFailures }];
+
+        if (ip) {
+            keys.push({ id: `ip:${ip}`, maxFailures: config.ipMaxFailures });
+        }
+
+        return keys;
+    }
+
+    userKey(username) {
+        return `user:${username.toLowerCase()}`;
+    }
+
+    /**
+     * Drops attempts whose failure window has passed. Called once at server startup.
+     */
+    static schedulePrune() {
+        return Scheduler.every('login attempt prune', config.window, () => loginAttemptStore.prune(config.window));
+    }
+}
+
+module.exports = LoginThrottleService;
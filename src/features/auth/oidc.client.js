@@ -0,0 +1,185 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const logger = require('../../common/utils/logger');
+const AppError = require('../../common/errors/AppError');
+
+const METADATA_TTL_MS = 60 * 60 * 1000;
+const JWKS_REFRESH_INTERVAL_MS = 60 * 1000;
+const REQUEST_TIMEOUT_MS = 10 * 1000;
+const ID_TOKEN_ALGORITHMS = ['RS256', 'RS384', 'RS512', 'ES256', 'ES384', 'PS256'];
+
+/**
+ * Minimal OpenID Connect relying party for one provider: discovery, the
+ * authorization-code flow with PKCE, and ID token validation against the
+ * provider's JWKS.
+ */
+class OidcClient {
+    constructor({ name, issuer, clientId, clientSecret, scopes, redirectUri }) {
+        this.name = name;
+        this.issuer = issuer.replace(/\/+$/, '');
+        this.clientId = clientId;
+        this.clientSecret = clientSecret;
+        this.scopes = scopes;
+        this.redirectUri = redirectUri;
+
+        this.metadata = null;
+        this.metadataFetchedAt = 0;
+        this.keys = new Map();
+        this.keysFetchedAt = 0;
+    }
+
+    async getMetadata() {
+        if (this.metadata && Date.now() - this.metadataFetchedAt < METADATA_TTL_MS) {
+            return this.metadata;
+        }
+
+        const metadata = await this.fetchJson(`${this.issuer}/.well-known/openid-configuration`);
+
+        // Discovery must describe the issuer we were configured with (OIDC Discovery 4.3)
+        if (metadata.issuer !== this.issuer && metadata.issuer !== `${this.issuer}/`) {
+            logger.error(`OIDC issuer mismatch for ${this.name}: ${metadata.issuer}`);
+            throw new AppError('Identity provider is misconfigured', 502);
+        }
+
+        this.metadata = metadata;
+        this.metadataFetchedAt = Date.now();
+
+        return metadata;
+    }
+
+    async getAuthorizationUrl({ state, nonce, codeVerifier }) {
+        const metadata = await this.getMetadata();
+        const url = new URL(metadata.authorization_endpoint);
+
+        url.search = new URLSearchParams({
+            response_type: 'code',
+            client_id: this.clientId,
+            redirect_uri: this.redirectUri,
+            scope: this.scopes,
+            state,
+            nonce,
+            code_challenge: OidcClient.codeChallenge(codeVerifier),
+            code_challenge_method: 'S256',
+        }).toString();
+
+        return url.toString();
+    }
+
+    async exchangeCode(code, codeVerifier) {
+        const metadata = await this.getMetadata();
+        const body = new URLSearchParams({
+            grant_type: 'authorization_code',
+            code,
+            redirect_uri: this.redirectUri,
+            code_verifier: codeVerifier,
+        });
+        const headers = { 'Content-Type': 'application/x-www-form-urlencoded' };
+
+        if (this.clientSecret) {
+            const credentials = `${encodeURIComponent(this.clientId)}:${encodeURIComponent(this.clientSecret)}`;
+            headers.Authorization = `Basic ${Buffer.from(credentials).toString('base64')}`;
+        } else {
+            body.set('client_id', this.clientId);
+        }
+
+        const tokens = await this.fetchJson(metadata.token_endpoint, { method: 'POST', headers, body });
+        if (!tokens.id_token) {
+            throw new AppError('Identity provider did not return an ID token', 502);
+        }
+
+        return tokens;
+    }
+
+    /**
+     * Validates the ID token as described in OIDC Core 3.1.3.7 and returns its claims.
+     */
+    async verifyIdToken(idToken, nonce) {
+        const metadata = await this.getMetadata();
+        const decoded = jwt.decode(idToken, { complete: true });
+        if (!decoded) {
+            throw new AppError('Invalid ID token', 401);
+        }
+
+        const key = await this.getSigningKey(decoded.header.kid);
+        if (!key) {
+            throw new AppError('Invalid ID token', 401);
+        }
+
+        let claims;
+        try {
+            claims = jwt.verify(idToken, key, {
+                algorithms: ID_TOKEN_ALGORITHMS,
+                issuer: metadata.issuer,
+                audience: this.clientId,
+                clockTolerance: 60,
+            });
+        } catch (error) {
+            logger.warn(`ID token from ${this.name} rejected: ${error.message}`);
+            throw new AppError('Invalid ID token', 401);
+        }
+
+        const audiences = [].concat(claims.aud);
+        if (audiences.length > 1 && claims.azp !== this.clientId) {
+            throw new AppError('Invalid ID token', 401);
+        }
+
+        if (!claims.sub || claims.nonce !== nonce) {
+            throw new AppError('Invalid ID token', 401);
+        }
+
+        return claims;
+    }
+
+    /**
+     * Looks up a provider key by kid, refetching the JWKS (at most once a minute)
+     * when the provider has rotated to a key we have not seen.
+     */
+    async getSigningKey(kid) {
+        const canRefresh = Date.now() - this.keysFetchedAt > JWKS_REFRESH_INTERVAL_MS;
+
+        if (!this.keys.has(kid) && canRefresh) {
+            const metadata = await this.getMetadata();
+            const { keys = [] } = await this.fetchJson(metadata.jwks_uri);
+
+            this.keys = new Map(keys
+                .filter((jwk) => !jwk.use || jwk.use === 'sig')
+                .map((jwk) => [jwk.kid, crypto.createPublicKey({ key: jwk, format: 'jwk' })]));
+            this.keysFetchedAt = Date.now();
+        }
+
+        // Providers with a single key may omit kid altogether
+        if (kid === undefined && this.keys.size === 1) {
+            return this.keys.values().next().value;
+        }
+
+        return this.keys.get(kid) || null;
+    }
+
+    async fetchJson(url, options = {}) {
+        let response;
+        try {
+            response = await fetch(url, {
+                ...options,
+                headers: { Accept: 'application/json', ...options.headers },
+                signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS),
+            });
+        } catch (error) {
+            logger.error(`Request to identity provider ${this.name} failed:`, error);
+            throw new AppError('Identity provider is unavailable', 502);
+        }
+
+        const body = await response.json().catch(() => ({}));
+        if (!response.ok) {
+            logger.error(`Identity provider ${this.name} responded ${response.status}:`, body);
+            throw new AppError('Identity provider rejected the request', 502);
+        }
+
+        return body;
+    }
+
+    static codeChallenge(codeVerifier) {
+        return crypto.createHash('sha256').update(codeVerifier).digest('base64url');
+    }
+}
+
+module.exports = OidcClient;
@@ -0,0 +1,110 @@
+const prismaClient = require('../../common/database/prisma.client');
+const logger = require('../../common/utils/logger');
+
+class OidcRepository {
+    constructor() {
+        this.prisma = prismaClient.getClient();
+    }
+
+    async createAuthRequest(requestData) {
+        try {
+            return await this.prisma.oidcAuthRequest.create({
+                data: {
+                    stateHash: requestData.stateHash,
+                    provider: requestData.provider,
+                    codeVerifier: requestData.codeVerifier,
+                    nonce: requestData.nonce,
+                    expiresAt: requestData.expiresAt,
+                },
+            });
+        } catch (error) {
+            logger.error('Error in createAuthRequest:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Deletes and returns the pending request so a state value can only be used once.
+     */
+    async consumeAuthRequest(stateHash) {
+        try {
+            return await this.prisma.oidcAuthRequest.delete({
+                where: { stateHash },
+            });
+        } catch (error) {
+            // P2025: no such request, or a concurrent callback consumed it first
+            if (error.code === 'P2025') {
+                return null;
+            }
+
+            logger.error('Error in consumeAuthRequest:', error);
+            throw error;
+        }
+    }
+
+    async deleteExpiredAuthRequests() {
+        try {
+            const { count } = await this.prisma.oidcAuthRequest.deleteMany({
+                where: { expiresAt: { lt: new Date() } },
+            });
+            return count;
+        } catch (error) {
+            logger.error('Error in deleteExpiredAuthRequests:', error);
+            throw error;
+        }
+    }
+
+    async findIdentity(provider, subject) {
+        try {
+            return await this.prisma.userIdentity.findUnique({
+                where: { provider_subject: { provider, subject } },
+                include: { user: true },
+            });
+        } catch (error) {
+            logger.error('Error in findIdentity:', error);
+            throw error;
+        }
+    }
+
+    async findUserByEmail(email) {
+        try {
+            return await this.prisma.user.findFirst({
+                where: { email: { equals: email, mode: 'insensitive' } },
+            });
+        } catch (error) {
+            logger.error('Error in findUserByEmail:', error);
+            throw error;
+        }
+    }
+
+    async createIdentity(identityData) {
+        try {
+            return await this.prisma.userIdentity.create({
+                data: {
+                    userId: identityData.userId,
+                    provider: identityData.provider,
+                    subject: identityData.subject,
+                    email: identityData.email,
+                    lastLoginAt: new Date(),
+                },
+            });
+        } catch (error) {
+            logger.error('Error in createIdentity:', error);
+            throw error;
+        }
+    }
+
+    async touchIdentity(id, email) {
+        try {
+            return await this.prisma.userIdentity.update({
+                where: { id },
+                data: { email, lastLoginAt: new Date() },
+            });
+        } catch (error) {
+            logger.error('Error in touchIdentity:', error);
+            throw error;
+        }
+    }
+}
+
+module.exports = OidcRepository;
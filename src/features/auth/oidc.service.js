@@ -0,0 +1,157 @@
+const AuthService = require('./auth.service');
+const OidcClient = require('./oidc.client');
+const OidcRepository = require('./oidc.repository');
+const TokenUtils = require('../../common/utils/token');
+const Duration = require('../../common/utils/duration');
+const Audit = require('../../common/utils/audit');
+const logger = require('../../common/utils/logger');
+const AppError = require('../../common/errors/AppError');
+
+/**
+ * Reads OIDC_PROVIDERS=company,other and OIDC_<NAME>_* settings for each provider.
+ */
+const loadProviders = () => {
+    const names = (process.env.OIDC_PROVIDERS || '')
+        .split(',')
+        .map((name) => name.trim().toLowerCase())
+        .filter(Boolean);
+
+    return new Map(names.map((name) => {
+        const prefix = `OIDC_${name.toUpperCase().replace(/[^A-Z0-9]/g, '_')}_`;
+        const setting = (key) => process.env[prefix + key];
+
+        if (!setting('ISSUER') || !setting('CLIENT_ID')) {
+            throw new Error(`OIDC provider ${name} needs ${prefix}ISSUER and ${prefix}CLIENT_ID`);
+        }
+
+        const appUrl = (process.env.APP_URL || 'http://localhost:3000').replace(/\/+$/, '');
+
+        return [name, new OidcClient({
+            name,
+            issuer: setting('ISSUER'),
+            clientId: setting('CLIENT_ID'),
+            clientSecret: setting('CLIENT_SECRET'),
+            scopes: setting('SCOPES') || 'openid email profile',
+            redirectUri: setting('REDIRECT_URI') || `${appUrl}/api/auth/oidc/${name}/callback`,
+        })];
+    }));
+};
+
+class OidcService {
+    constructor() {
+        this.authService = new AuthService();
+        this.oidcRepository = new OidcRepository();
+        this.providers = loadProviders();
+        this.requestTtl = Duration.toMilliseconds(process.env.OIDC_LOGIN_TTL, '10m');
+    }
+
+    /**
+     * Starts an authorization-code + PKCE login and returns the provider URL to redirect to.
+     */
+    async start(providerName) {
+        try {
+            const client = this.getClient(providerName);
+            const state = TokenUtils.generate(32);
+            const nonce = TokenUtils.generate(32);
+            const codeVerifier = TokenUtils.generate(48);
+
+            const authorizationUrl = await client.getAuthorizationUrl({ state, nonce, codeVerifier });
+
+            await this.oidcRepository.deleteExpiredAuthRequests();
+            await this.oidcRepository.createAuthRequest({
+                stateHash: TokenUtils.hash(state),
+                provider: client.name,
+                codeVerifier,
+                nonce,
+                expiresAt: new Date(Date.now() + this.requestTtl),
+            });
+
+            return { authorizationUrl };
+        } catch (error) {
+            logger.error('Error in OIDC start service:', error);
+            throw error;
+        }
+    }
+
+    async callback(providerName, { code, state, error: providerError }, context = {}) {
+        try {
+            const client = this.getClient(providerName);
+
+            const request = await this.oidcRepository.consumeAuthRequest(TokenUtils.hash(state));
+            if (!request || request.provider !== client.name || request.expiresAt <= new Date()) {
+                throw new AppError('Invalid or expired login request', 400);
+            }
+
+            if (providerError || !code) {
+                logger.warn(`OIDC login at ${client.name} failed: ${providerError || 'no code returned'}`);
+                throw new AppError('Sign-in at the identity provider was cancelled or failed', 400);
+            }
+
+            const tokens = await client.exchangeCode(code, request.codeVerifier);
+            const claims = await client.verifyIdToken(tokens.id_token, request.nonce);
+
+            const user = await this.resolveUser(client.name, claims);
+
+            return await this.authService.continueLogin(user, context);
+        } catch (error) {
+            logger.error('Error in OIDC callback service:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Finds the user for a provider identity, linking it on first use to the
+     * account with the same email. Both sides must have verified that email,
+     * otherwise anyone could claim an account by registering its address first.
+     */
+    async resolveUser(provider, claims) {
+        const email = typeof claims.email === 'string' ? claims.email : null;
+
+        const identity = await this.oidcRepository.findIdentity(provider, claims.sub);
+        if (identity) {
+            await this.oidcRepository.touchIdentity(identity.id, email);
+            return identity.user;
+        }
+
+        if (!email || claims.email_verified !== true) {
+            throw new AppError('The identity provider did not supply a verified email address', 403);
+        }
+
+        const user = await this.oidcRepository.findUserByEmail(email);
+        if (!user) {
+            throw new AppError('No account is registered for this email address', 403);
+        }
+
+        if (!user.emailVerified) {
+            throw new AppError('Please verify your email address before signing in with an identity provider', 403);
+        }
+
+        await this.oidcRepository.createIdentity({
+            userId: user.id,
+            provider,
+            subject: claims.sub,
+            email,
+        });
+
+        await Audit.record('auth.identity.linked', {
+            actorId: user.id,
+            targetType: 'user',
+            targetId: user.id,
+            provider,
+            subject: claims.sub,
+        });
+        logger.info(`Linked ${provider} identity to user: ${user.username}`);
+
+        return user;
+    }
+
+    getClient(providerName) {
+        const client = this.providers.get(String(providerName).toLowerCase());
+        if (!client) {
+            throw new AppError('Unknown identity provider', 404);
+        }
+        return client;
+    }
+}
+
+module.exports = OidcService;
@@ -0,0 +1,65 @@
+const prismaClient = require('../../common/database/prisma.client');
+const logger = require('../../common/utils/logger');
+
+class PasswordResetRepository {
+    constructor() {
+        this.prisma = prismaClient.getClient();
+    }
+
+    async create(tokenData) {
+        try {
+            return await this.prisma.passwordResetToken.create({
+                data: {
+                    tokenHash: tokenData.tokenHash,
+                    userId: tokenData.userId,
+                    expiresAt: tokenData.expiresAt,
+                },
+            });
+        } catch (error) {
+            logger.error('Error in create password reset token:', error);
+            throw error;
+        }
+    }
+
+    async findByHash(tokenHash) {
+        try {
+            return await this.prisma.passwordResetToken.findUnique({
+                where: { tokenHash },
+            });
+        } catch (error) {
+            logger.error('Error in findByHash:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Marks the token as used. Returns false when it was already consumed.
+     */
+    async markUsed(id) {
+        try {
+            const { count } = await this.prisma.passwordResetToken.updateMany({
+                where: { id, usedAt: null },
+                data: { usedAt: new Date() },
+            });
+            return count === 1;
+        } catch (error) {
+            logger.error('Error in markUsed:', error);
+            throw error;
+        }
+    }
+
+    async invalidateAllForUser(userId) {
+        try {
+            const { count } = await this.prisma.passwordResetToken.updateMany({
+                where: { userId, usedAt: null },
+                data: { usedAt: new Date() },
+            });
+            return count;
+        } catch (error) {
+            logger.error('Error in invalidateAllForUser:', error);
+            throw error;
+        }
+    }
+}
+
+module.exports = PasswordResetRepository;
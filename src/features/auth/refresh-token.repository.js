@@ -0,0 +1,103 @@
+const prismaClient = require('../../common/database/prisma.client');
+const logger = require('../../common/utils/logger');
+
+class RefreshTokenRepository {
+    constructor() {
+        this.prisma = prismaClient.getClient();
+    }
+
+    async create(tokenData) {
+        try {
+            return await this.prisma.refreshToken.create({
+                data: {
+                    tokenHash: tokenData.tokenHash,
+                    familyId: tokenData.familyId,
+                    userId: tokenData.userId,
+                    sessionId: tokenData.sessionId,
+                    expiresAt: tokenData.expiresAt,
+                },
+            });
+        } catch (error) {
+            logger.error('Error in create refresh token:', error);
+            throw error;
+        }
+    }
+
+    async findByHash(tokenHash) {
+        try {
+            return await this.prisma.refreshToken.findUnique({
+                where: { tokenHash },
+            });
+        } catch (error) {
+            logger.error('Error in findByHash:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Revokes the current token and issues its successor in one transaction.
+     * Returns null when the token was already consumed by a concurrent request.
+     */
+    async rotate(currentId, nextTokenData) {
+        try {
+            return await this.prisma.$transaction(async (tx) => {
+                const { count } = await tx.refreshToken.updateMany({
+                    where: { id: currentId, revokedAt: null },
+                    data: { revokedAt: new Date() },
+                });
+
+                if (count === 0) {
+                    return null;
+                }
+
+                const next = await tx.refreshToken.create({
+                    data: {
+                        tokenHash: nextTokenData.tokenHash,
+                        familyId: nextTokenData.familyId,
+                        userId: nextTokenData.userId,
+                        sessionId: nextTokenData.sessionId,
+                        expiresAt: nextTokenData.expiresAt,
+                    },
+                });
+
+                await tx.refreshToken.update({
+                    where: { id: currentId },
+                    data: { replacedById: next.id },
+                });
+
+                return next;
+            });
+        } catch (error) {
+            logger.error('Error in rotate refresh token:', error);
+            throw error;
+        }
+    }
+
+    async revokeFamily(familyId) {
+        try {
+            const { count } = await this.prisma.refreshToken.updateMany({
+                where: { familyId, revokedAt: null },
+                data: { revokedAt: new Date() },
+            });
+            return count;
+        } catch (error) {
+            logger.error('Error in revokeFamily:', error);
+            throw error;
+        }
+    }
+
+    async revokeAllForUser(userId) {
+        try {
+            const { count } = await this.prisma.refreshToken.updateMany({
+                where: { userId, revokedAt: null },
+                data: { revokedAt: new Date() },
+            });
+            return count;
+        } catch (error) {
+            logger.error('Error in revokeAllForUser:', error);
+            throw error;
+        }
+    }
+}
+
+module.exports = RefreshTokenRepository;
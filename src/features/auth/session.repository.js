@@ -0,0 +1,115 @@
+const prismaClient = require('../../common/database/prisma.client');
+const logger = require('../../common/utils/logger');
+
+const sessionSelect = {
+    id: true,
+    userAgent: true,
+    ip: true,
+    createdAt: true,
+    lastSeenAt: true,
+    expiresAt: true,
+};
+
+class SessionRepository {
+    constructor() {
+        this.prisma = prismaClient.getClient();
+    }
+
+    async create(sessionData) {
+        try {
+            return await this.prisma.session.create({
+                data: {
+                    userId: sessionData.userId,
+                    userAgent: sessionData.userAgent || null,
+                    ip: sessionData.ip || null,
+                    expiresAt: sessionData.expiresAt,
+                },
+                select: sessionSelect,
+            });
+        } catch (error) {
+            logger.error('Error in create session:', error);
+            throw error;
+        }
+    }
+
+    async findById(id) {
+        try {
+            return await this.prisma.session.findUnique({
+                where: { id },
+                include: { user: { select: { disabledAt: true } } },
+            });
+        } catch (error) {
+            logger.error('Error in findById session:', error);
+            throw error;
+        }
+    }
+
+    async findActiveByUserId(userId) {
+        try {
+            return await this.prisma.session.findMany({
+                where: {
+                    userId,
+                    revokedAt: null,
+                    expiresAt: { gt: new Date() },
+                },
+                select: sessionSelect,
+                orderBy: { lastSeenAt: 'desc' },
+            });
+        } catch (error) {
+            logger.error('Error in findActiveByUserId:', error);
+            throw error;
+        }
+    }
+
+    async touch(id, data) {
+        try {
+            await this.prisma.session.update({
+                where: { id },
+                data: {
+                    lastSeenAt: new Date(),
+                    ...(data && data.expiresAt && { expiresAt: data.expiresAt }),
+                },
+            });
+        } catch (error) {
+            logger.error('Error in touch session:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Revokes the session and every refresh token issued within it.
+     */
+    async revoke(id) {
+        try {
+            const now = new Date();
+            await this.prisma.$transaction([
+                this.prisma.session.updateMany({
+                    where: { id, revokedAt: null },
+                    data: { revokedAt: now },
+                }),
+                this.prisma.refreshToken.updateMany({
+                    where: { sessionId: id, revokedAt: null },
+                    data: { revokedAt: now },
+                }),
+            ]);
+        } catch (error) {
+            logger.error('Error in revoke session:', error);
+            throw error;
+        }
+    }
+
+    async revokeAllForUser(userId) {
+        try {
+            const { count } = await this.prisma.session.updateMany({
+                where: { userId, revokedAt: null },
+                data: { revokedAt: new Date() },
+            });
+            return count;
+        } catch (error) {
+            logger.error('Error in revokeAllForUser sessions:', error);
+            throw error;
+        }
+    }
+}
+
+module.exports = SessionRepository;
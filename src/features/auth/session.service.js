@@ -0,0 +1,78 @@
+const SessionRepository = require('./session.repository');
+const logger = require('../../common/utils/logger');
+const AppError = require('../../common/errors/AppError');
+
+// lastSeenAt does not need to be exact; skip the write when it was updated recently
+const LAST_SEEN_RESOLUTION_MS = 60 * 1000;
+
+class SessionService {
+    constructor() {
+        this.sessionRepository = new SessionRepository();
+    }
+
+    async createSession(userId, context, expiresAt) {
+        return this.sessionRepository.create({
+            userId,
+            userAgent: context.userAgent,
+            ip: context.ip,
+            expiresAt,
+        });
+    }
+
+    async listSessions(userId, currentSessionId) {
+        try {
+            const sessions = await this.sessionRepository.findActiveByUserId(userId);
+
+            return sessions.map((session) => ({
+                ...session,
+                current: session.id === currentSessionId,
+            }));
+        } catch (error) {
+            logger.error('Error in listSessions service:', error);
+            throw error;
+        }
+    }
+
+    async revokeSession(sessionId, userId) {
+        try {
+            const session = await this.sessionRepository.findById(sessionId);
+            if (!session || session.userId !== userId) {
+                throw new AppError('Session not found', 404);
+            }
+
+            await this.sessionRepository.revoke(sessionId);
+            logger.info(`Session ${sessionId} revoked by user ${userId}`);
+        } catch (error) {
+            logger.error('Error in revokeSession service:', error);
+            throw error;
+        }
+    }
+
+    async revokeAllForUser(userId) {
+        return this.sessionRepository.revokeAllForUser(userId);
+    }
+
+    /**
+     * Used by the auth middleware on every request carrying a session-bound token.
+     */
+    async assertActive(sessionId, userId) {
+        const session = await this.sessionRepository.findById(sessionId);
+        const now = new Date();
+
+        if (!session || session.userId !== userId || session.revokedAt || session.expiresAt <= now) {
+            throw new AppError('Session has been revoked.', 401);
+        }
+
+        if (now - session.lastSeenAt > LAST_SEEN_RESOLUTION_MS) {
+            this.sessionRepository.touch(sessionId).catch(() => {});
+        }
+
+        return session;
+    }
+
+    async extend(sessionId, expiresAt) {
+        return this.sessionRepository.touch(sessionId, { expiresAt });
+    }
+}
+
+module.exports = SessionService;
@@ -0,0 +1,150 @@
+const prismaClient = require('../../common/database/prisma.client');
+const logger = require('../../common/utils/logger');
+
+class TwoFactorRepository {
+    constructor() {
+        this.prisma = prismaClient.getClient();
+    }
+
+    async findUserWithSecret(userId) {
+        try {
+            return await this.prisma.user.findUnique({
+                where: { id: userId },
+                select: {
+                    id: true,
+                    username: true,
+                    email: true,
+                    password: true,
+                    twoFactorEnabled: true,
+                    twoFactorSecret: true,
+                    twoFactorLastCounter: true,
+                },
+            });
+        } catch (error) {
+            logger.error('Error in findUserWithSecret:', error);
+            throw error;
+        }
+    }
+
+    async savePendingSecret(userId, encryptedSecret) {
+        try {
+            await this.prisma.user.update({
+                where: { id: userId },
+                data: {
+                    twoFactorSecret: encryptedSecret,
+                    twoFactorEnabled: false,
+                    twoFactorLastCounter: null,
+                },
+            });
+        } catch (error) {
+            logger.error('Error in savePendingSecret:', error);
+            throw error;
+        }
+    }
+
+    async enable(userId, counter, recoveryCodeHashes) {
+        try {
+            await this.prisma.$transaction([
+                this.prisma.user.update({
+                    where: { id: userId },
+                    data: {
+                        twoFactorEnabled: true,
+                        twoFactorLastCounter: counter,
+                    },
+                }),
+                this.prisma.recoveryCode.deleteMany({ where: { userId } }),
+                this.prisma.recoveryCode.createMany({
+                    data: recoveryCodeHashes.map((codeHash) => ({ userId, codeHash })),
+                }),
+            ]);
+        } catch (error) {
+            logger.error('Error in enable two-factor:', error);
+            throw error;
+        }
+    }
+
+    async disable(userId) {
+        try {
+            await this.prisma.$transaction([
+                this.prisma.user.update({
+                    where: { id: userId },
+                    data: {
+                        twoFactorEnabled: false,
+                        twoFactorSecret: null,
+                        twoFactorLastCounter: null,
+                    },
+                }),
+                this.prisma.recoveryCode.deleteMany({ where: { userId } }),
+            ]);
+        } catch (error) {
+            logger.error('Error in disable two-factor:', error);
+            throw error;
+        }
+    }
+
+    async replaceRecoveryCodes(userId, recoveryCodeHashes) {
+        try {
+            await this.prisma.$transaction([
+                this.prisma.recoveryCode.deleteMany({ where: { userId } }),
+                this.prisma.recoveryCode.createMany({
+                    data: recoveryCodeHashes.map((codeHash) => ({ userId, codeHash })),
+                }),
+            ]);
+        } catch (error) {
+            logger.error('Error in replaceRecoveryCodes:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Returns true only for the request that actually consumed the code.
+     */
+    async consumeRecoveryCode(userId, codeHash) {
+        try {
+            const { count } = await this.prisma.recoveryCode.updateMany({
+                where: { userId, codeHash, usedAt: null },
+                data: { usedAt: new Date() },
+            });
+            return count === 1;
+        } catch (error) {
+            logger.error('Error in consumeRecoveryCode:', error);
+            throw error;
+        }
+    }
+
+    async countUnusedRecoveryCodes(userId) {
+        try {
+            return await this.prisma.recoveryCode.count({
+                where: { userId, usedAt: null },
+            });
+        } catch (error) {
+            logger.error('Error in countUnusedRecoveryCodes:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Records the last accepted TOTP step so a code cannot be replayed.
+     * Returns false when the step (or a later one) was already used.
+     */
+    async advanceCounter(userId, counter) {
+        try {
+            const { count } = await this.prisma.user.updateMany({
+                where: {
+                    id: userId,
+                    OR: [
+                        { twoFactorLastCounter: null },
+                        { twoFactorLastCounter: { lt: counter } },
+                    ],
+                },
+                data: { twoFactorLastCounter: counter },
+            });
+            return count === 1;
+        } catch (error) {
+            logger.error('Error in advanceCounter:', error);
+            throw error;
+        }
+    }
+}
+
+module.exports = TwoFactorRepository;
@@ -0,0 +1,184 @@
+const crypto = require('crypto');
+const TwoFactorRepository = require('./two-factor.repository');
+const Totp = require('../../common/utils/totp');
+const Encryption = require('../../common/utils/encryption');
+const TokenUtils = require('../../common/utils/token');
+const PasswordHasher = require('../../common/utils/password-hasher');
+const Audit = require('../../common/utils/audit');
+const logger = require('../../common/utils/logger');
+const AppError = require('../../common/errors/AppError');
+
+const RECOVERY_CODE_COUNT = 10;
+
+class TwoFactorService {
+    constructor() {
+        this.twoFactorRepository = new TwoFactorRepository();
+    }
+
+    async setup(userId) {
+        try {
+            const user = await this.getUser(userId);
+            if (user.twoFactorEnabled) {
+                throw new AppError('Two-factor authentication is already enabled', 400);
+            }
+
+            const secret = Totp.generateSecret();
+            await this.twoFactorRepository.savePendingSecret(userId, Encryption.encrypt(secret));
+
+            logger.info(`Two-factor setup started for user: ${user.username}`);
+
+            return {
+                secret,
+                otpauthUrl: Totp.keyUri({
+                    secret,
+                    accountName: user.email,
+                    issuer: process.env.TWO_FACTOR_ISSUER || 'Node.js Auth API',
+                }),
+            };
+        } catch (error) {
+            logger.error('Error in two-factor setup service:', error);
+            throw error;
+        }
+    }
+
+    async confirm(userId, code) {
+        try {
+            const user = await this.getUser(userId);
+            if (user.twoFactorEnabled) {
+                throw new AppError('Two-factor authentication is already enabled', 400);
+            }
+
+            if (!user.twoFactorSecret) {
+                throw new AppError('Two-factor setup has not been started', 400);
+            }
+
+            const counter = Totp.verify(Encryption.decrypt(user.twoFactorSecret), code);
+            if (counter === null) {
+                throw new AppError('Invalid two-factor code', 400);
+            }
+
+            const recoveryCodes = this.generateRecoveryCodes();
+            await this.twoFactorRepository.enable(
+                userId,
+                counter,
+                recoveryCodes.map((recoveryCode) => this.hashRecoveryCode(recoveryCode))
+            );
+
+            await Audit.record('auth.2fa.enabled', {
+                actorId: userId,
+                targetType: 'user',
+                targetId: userId,
+            });
+            logger.info(`Two-factor enabled for user: ${user.username}`);
+
+            return { recoveryCodes };
+        } catch (error) {
+            logger.error('Error in two-factor confirm service:', error);
+            throw error;
+        }
+    }
+
+    async disable(userId, password, code) {
+        try {
+            await this.reauthenticate(userId, password, code);
+            await this.twoFactorRepository.disable(userId);
+
+            await Audit.record('auth.2fa.disabled', {
+                actorId: userId,
+                targetType: 'user',
+                targetId: userId,
+            });
+            logger.info(`Two-factor disabled for user: ${userId}`);
+        } catch (error) {
+            logger.error('Error in two-factor disable service:', error);
+            throw error;
+        }
+    }
+
+    async regenerateRecoveryCodes(userId, password, code) {
+        try {
+            await this.reauthenticate(userId, password, code);
+
+            const recoveryCodes = this.generateRecoveryCodes();
+            await this.twoFactorRepository.replaceRecoveryCodes(
+                userId,
+                recoveryCodes.map((recoveryCode) => this.hashRecoveryCode(recoveryCode))
+            );
+
+            await Audit.record('auth.2fa.recovery_codes_regenerated', {
+                actorId: userId,
+                targetType: 'user',
+                targetId: userId,
+            });
+
+            return { recoveryCodes };
+        } catch (error) {
+            logger.error('Error in regenerateRecoveryCodes service:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Accepts either a current TOTP code or an unused recovery code.
+     */
+    async verifyCode(user, code) {
+        if (!user.twoFactorEnabled || !user.twoFactorSecret) {
+            return false;
+        }
+
+        const counter = Totp.verify(Encryption.decrypt(user.twoFactorSecret), code);
+        if (counter !== null) {
+            return this.twoFactorRepository.advanceCounter(user.id, counter);
+        }
+
+        const consumed = await this.twoFactorRepository.consumeRecoveryCode(
+            user.id,
+            this.hashRecoveryCode(code)
+        );
+
+        if (consumed) {
+            const remaining = await this.twoFactorRepository.countUnusedRecoveryCodes(user.id);
+            await Audit.record('auth.2fa.recovery_code_used', {
+                actorId: user.id,
+                targetType: 'user',
+                targetId: user.id,
+                remaining,
+            });
+        }
+
+        return consumed;
+    }
+
+    async reauthenticate(userId, password, code) {
+        const user = await this.getUser(userId);
+        if (!user.twoFactorEnabled) {
+            throw new AppError('Two-factor authentication is not enabled', 400);
+        }
+
+        const isPasswordValid = await PasswordHasher.verify(password, user.password);
+        if (!isPasswordValid || !(await this.verifyCode(user, code))) {
+            throw new AppError('Invalid credentials', 401);
+        }
+    }
+
+    async getUser(userId) {
+        const user = await this.twoFactorRepository.findUserWithSecret(userId);
+        if (!user) {
+            throw new AppError('User not found', 404);
+        }
+        return user;
+    }
+
+    generateRecoveryCodes() {
+        return Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+            const value = crypto.randomBytes(5).toString('hex');
+            return `${value.slice(0, 5)}-${value.slice(5)}`;
+        });
+    }
+
+    hashRecoveryCode(code) {
+        return TokenUtils.hash(code.trim().toLowerCase().replace(/[\s-]/g, ''));
+    }
+}
+
+module.exports = TwoFactorService;
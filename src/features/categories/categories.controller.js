@@ -0,0 +1,90 @@
+const CategoriesService = require('./categories.service');
+const RequestContext = require('../../common/utils/request-context');
+
+class CategoriesController {
+  constructor() {
+    this.categoriesService = new CategoriesService();
+  }
+
+  listCategories = async (req, res, next) => {
+    try {
+      const categories = await this.categoriesService.listCategories();
+
+      res.json({
+        success: true,
+        message: 'Categories retrieved successfully',
+        data: { categories },
+      });
+    } catch (error) {
+      next(error);
+    }
+  };
+
+  getCategory = async (req, res, next) => {
+    try {
+      const category = await this.categoriesService.getCategory(req.params.idOrSlug);
+
+      res.json({
+        success: true,
+        message: 'Category retrieved successfully',
+        data: { category },
+      });
+    } catch (error) {
+      next(error);
+    }
+  };
+
+  createCategory = async (req, res, next) => {
+    try {
+      const category = await this.categoriesService.createCategory(req.body, req.user, RequestContext.from(req));
+
+      res.status(201).json({
+        success: true,
+        message: 'Category created successfully',
+        data: { category },
+      });
+    } catch (error) {
+      next(error);
+    }
+  };
+
+  updateCategory = async (req, res, next) => {
+    try {
+      const category = await this.categoriesService.updateCategory(
+        req.params.id,
+        req.body,
+        req.user,
+        RequestContext.from(req)
+      );
+
+      res.json({
+        success: true,
+        message: 'Category updated successfully',
+        data: { category },
+      });
+    } catch (error) {
+      next(error);
+    }
+  };
+
+  deleteCategory = async (req, res, next) => {
+    try {
+      const result = await this.categoriesService.deleteCategory(
+        req.params.id,
+        req.query,
+        req.user,
+        RequestContext.from(req)
+      );
+
+      res.json({
+        success: true,
+        message: 'Category deleted successfully',
+        data: result,
+      });
+    } catch (error) {
+      next(error);
+    }
+  };
+}
+
+module.exports = new CategoriesController();
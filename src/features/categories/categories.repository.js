@@ -0,0 +1,158 @@
+const prismaClient = require('../../common/database/prisma.client');
+const ItemRevisionRepository = require('../items/item-revision.repository');
+const logger = require('../../common/utils/logger');
+
+// Moving a large category's items records a revision for each of them
+const REASSIGN_TRANSACTION_TIMEOUT = 60000;
+
+class CategoriesRepository {
+  constructor() {
+    this.prisma = prismaClient.getClient();
+    this.itemRevisionRepository = new ItemRevisionRepository();
+  }
+
+  async findAll() {
+    try {
+      return await this.prisma.category.findMany({
+        orderBy: [{ name: 'asc' }, { id: 'asc' }],
+      });
+    } catch (error) {
+      logger.error('Error in findAll categories:', error);
+      throw error;
+    }
+  }
+
+  async findById(id) {
+    try {
+      return await this.prisma.category.findUnique({
+        where: { id },
+      });
+    } catch (error) {
+      logger.error('Error in findById category:', error);
+      throw error;
+    }
+  }
+
+  async findBySlug(slug) {
+    try {
+      return await this.prisma.category.findUnique({
+        where: { slug },
+      });
+    } catch (error) {
+      logger.error('Error in findBySlug category:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * The subset of ids that belong to an existing category.
+   */
+  async findExistingIds(ids) {
+    try {
+      const categories = await this.prisma.category.findMany({
+        where: { id: { in: ids } },
+        select: { id: true },
+      });
+      return new Set(categories.map((category) => category.id));
+    } catch (error) {
+      logger.error('Error in findExistingIds categories:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * The category and all of its descendants, at any depth.
+   */
+  async findSubtreeIds(id) {
+    try {
+      const rows = await this.prisma.$queryRaw`
+        WITH RECURSIVE subtree AS (
+          SELECT id FROM categories WHERE id = ${id}
+          UNION
+          SELECT c.id FROM categories c JOIN subtree s ON c.parent_id = s.id
+        )
+        SELECT id FROM subtree
+      `;
+      return rows.map((row) => row.id);
+    } catch (error) {
+      logger.error('Error in findSubtreeIds:', error);
+      throw error;
+    }
+  }
+
+  async create(categoryData) {
+    try {
+      return await this.prisma.category.create({
+        data: categoryData,
+      });
+    } catch (error) {
+      logger.error('Error in create category:', error);
+      throw error;
+    }
+  }
+
+  async update(id, categoryData) {
+    try {
+      return await this.prisma.category.update({
+        where: { id },
+        data: categoryData,
+      });
+    } catch (error) {
+      logger.error('Error in update category:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Counts the direct subcategories and the items (trashed ones included) that still point at the category.
+   */
+  async countDependents(id) {
+    try {
+      const [children, items] = await Promise.all([
+        this.prisma.category.count({ where: { parentId: id } }),
+        this.prisma.item.count({ where: { categoryId: id } }),
+      ]);
+      return { children, items };
+    } catch (error) {
+      logger.error('Error in countDependents category:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Deletes the category, first moving its subcategories and items (with a
+   * revision for each item, credited to editorId) to reassignTo when given.
+   * Returns each moved item as { existingItem, item }, before and after the move.
+   */
+  async delete(id, { reassignTo, editorId } = {}) {
+    try {
+      return await this.prisma.$transaction(async (tx) => {
+        const moved = [];
+        if (reassignTo) {
+          await tx.category.updateMany({
+            where: { parentId: id },
+            data: { parentId: reassignTo },
+          });
+
+          const items = await tx.item.findMany({ where: { categoryId: id } });
+          for (const existingItem of items) {
+            const item = await tx.item.update({
+              where: { id: existingItem.id },
+              data: { categoryId: reassignTo, version: { increment: 1 } },
+            });
+            await this.itemRevisionRepository.append(tx, item, { editorId });
+            moved.push({ existingItem, item });
+          }
+        }
+
+        await tx.category.delete({ where: { id } });
+        return moved;
+      }, { timeout: REASSIGN_TRANSACTION_TIMEOUT });
+    } catch (error) {
+      logger.error('Error in delete category:', error);
+      throw error;
+    }
+  }
+}
+
+module.exports = CategoriesRepository;
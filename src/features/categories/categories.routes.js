@@ -0,0 +1,183 @@
+const express = require('express');
+const router = express.Router();
+const categoriesController = require('./categories.controller');
+const AuthMiddleware = require('../../common/middleware/auth.middleware');
+const ValidateMiddleware = require('../../common/middleware/validate.middleware');
+const { ROLES } = require('../../common/constants/roles');
+const { SCOPES } = require('../../common/constants/scopes');
+const {
+  createCategorySchema,
+  updateCategorySchema,
+  categoryParamsSchema,
+  categoryLookupSchema,
+  deleteCategorySchema,
+} = require('./categories.validator');
+
+// Anyone who can read items can read categories; only admins manage them
+const canRead = [AuthMiddleware.authenticate, AuthMiddleware.requireScope(SCOPES.ITEMS_READ)];
+const adminOnly = [AuthMiddleware.authenticate, AuthMiddleware.rejectApiKeys, AuthMiddleware.authorize(ROLES.ADMIN)];
+const validateCategoryId = ValidateMiddleware.validate(categoryParamsSchema, 'params');
+
+/**
+ * @swagger
+ * tags:
+ *   name: Categories
+ *   description: Hierarchical item categories (changes require the ADMIN role)
+ */
+
+/**
+ * @swagger
+ * /api/categories:
+ *   get:
+ *     summary: List all categories as a tree
+ *     tags: [Categories]
+ *     security:
+ *       - bearerAuth: []
+ *       - apiKeyAuth: []
+ *     responses:
+ *       200:
+ *         description: Top-level categories, each with its nested children
+ */
+router.get('/', ...canRead, categoriesController.listCategories);
+
+/**
+ * @swagger
+ * /api/categories/{idOrSlug}:
+ *   get:
+ *     summary: Get a category by ID or slug
+ *     description: Includes the ancestors from the top level down.
+ *     tags: [Categories]
+ *     security:
+ *       - bearerAuth: []
+ *       - apiKeyAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: idOrSlug
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Category retrieved successfully
+ *       404:
+ *         description: Category not found
+ */
+router.get('/:idOrSlug', ...canRead, ValidateMiddleware.validate(categoryLookupSchema, 'params'), categoriesController.getCategory);
+
+/**
+ * @swagger
+ * /api/categories:
+ *   post:
+ *     summary: Create a category
+ *     tags: [Categories]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - name
+ *             properties:
+ *               name:
+ *                 type: string
+ *                 example: Laptops
+ *               slug:
+ *                 type: string
+ *                 description: Derived from the name when omitted
+ *                 example: laptops
+ *               description:
+ *                 type: string
+ *               parentId:
+ *                 type: integer
+ *                 nullable: true
+ *     responses:
+ *       201:
+ *         description: Category created successfully
+ *       400:
+ *         description: Invalid data or unknown parent
+ *       403:
+ *         description: Forbidden
+ *       409:
+ *         description: Slug already in use
+ */
+router.post('/', ...adminOnly, ValidateMiddleware.validate(createCategorySchema), categoriesController.createCategory);
+
+/**
+ * @swagger
+ * /api/categories/{id}:
+ *   patch:
+ *     summary: Update a category
+ *     description: Changes only the fields sent. Setting parentId moves the category and its subcategories; parentId null makes it top-level.
+ *     tags: [Categories]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               name:
+ *                 type: string
+ *               slug:
+ *                 type: string
+ *               description:
+ *                 type: string
+ *                 nullable: true
+ *               parentId:
+ *                 type: integer
+ *                 nullable: true
+ *     responses:
+ *       200:
+ *         description: Category updated successfully
+ *       400:
+ *         description: Invalid data, unknown parent, or a move under its own subtree
+ *       404:
+ *         description: Category not found
+ *       409:
+ *         description: Slug already in use
+ */
+router.patch('/:id', ...adminOnly, validateCategoryId, ValidateMiddleware.validate(updateCategorySchema), categoriesController.updateCategory);
+
+/**
+ * @swagger
+ * /api/categories/{id}:
+ *   delete:
+ *     summary: Delete a category
+ *     description: |
+ *       Refused while items or subcategories still use it, unless reassignTo names a category
+ *       to move them to first. Reassigning is also how duplicate categories are merged.
+ *     tags: [Categories]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: reassignTo
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Category deleted, with the number of items moved
+ *       404:
+ *         description: Category not found
+ *       409:
+ *         description: The category is still in use
+ */
+router.delete('/:id', ...adminOnly, validateCategoryId, ValidateMiddleware.validate(deleteCategorySchema, 'query'), categoriesController.deleteCategory);
+
+module.exports = router;
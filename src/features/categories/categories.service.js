@@ -0,0 +1,256 @@
+const CategoriesRepository = require('./categories.repository');
+const Audit = require('../../common/utils/audit');
+const logger = require('../../common/utils/logger');
+const AppError = require('../../common/errors/AppError');
+
+// Must stay in line with the slugs the categories migration derived from the old strings
+const slugify = (name) => {
+  const slug = name
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '');
+
+  // An all-digit slug would be taken for an id
+  return /^[0-9]+$/.test(slug) ? `category-${slug}` : slug;
+};
+
+class CategoriesService {
+  constructor() {
+    this.categoriesRepository = new CategoriesRepository();
+  }
+
+  /**
+   * Every category as a tree: top-level categories with nested children, each level sorted by name.
+   */
+  async listCategories() {
+    try {
+      const categories = await this.categoriesRepository.findAll();
+
+      const nodes = new Map(categories.map((category) => [category.id, { ...category, children: [] }]));
+      const roots = [];
+      nodes.forEach((node) => {
+        const parent = node.parentId ? nodes.get(node.parentId) : null;
+        (parent ? parent.children : roots).push(node);
+      });
+
+      return roots;
+    } catch (error) {
+      logger.error('Error in listCategories service:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * A category by id or slug, with the path of its ancestors from the top level down.
+   */
+  async getCategory(idOrSlug) {
+    try {
+      const category = await this.findCategory(idOrSlug);
+      if (!category) {
+        throw new AppError('Category not found', 404);
+      }
+
+      const ancestors = [];
+      let parentId = category.parentId;
+      while (parentId) {
+        const parent = await this.categoriesRepository.findById(parentId);
+        ancestors.unshift({ id: parent.id, name: parent.name, slug: parent.slug });
+        parentId = parent.parentId;
+      }
+
+      return { ...category, ancestors };
+    } catch (error) {
+      logger.error('Error in getCategory service:', error);
+      throw error;
+    }
+  }
+
+  async createCategory(categoryData, actor, context = {}) {
+    try {
+      const slug = await this.checkSlug(categoryData.slug || slugify(categoryData.name));
+      await this.assertExists(categoryData.parentId, 'Parent category');
+
+      const category = await this.categoriesRepository.create({
+        name: categoryData.name,
+        slug,
+        description: categoryData.description ?? null,
+        parentId: categoryData.parentId ?? null,
+      });
+
+      await Audit.record('category.created', {
+        actorId: actor.id,
+        targetType: 'category',
+        targetId: category.id,
+        context,
+        after: category,
+      });
+
+      logger.info(`Category created by user ${actor.id}: ${category.slug}`);
+      return category;
+    } catch (error) {
+      logger.error('Error in createCategory service:', error);
+      throw error;
+    }
+  }
+
+  async updateCategory(id, categoryData, actor, context = {}) {
+    try {
+      const existingCategory = await this.getExistingCategory(id);
+
+      if (categoryData.slug !== undefined && categoryData.slug !== existingCategory.slug) {
+        await this.checkSlug(categoryData.slug);
+      }
+
+      if (categoryData.parentId) {
+        await this.assertExists(categoryData.parentId, 'Parent category');
+        const subtree = await this.categoriesRepository.findSubtreeIds(id);
+        if (subtree.includes(categoryData.parentId)) {
+          throw new AppError('A category cannot be moved under itself or one of its subcategories', 400);
+        }
+      }
+
+      const category = await this.categoriesRepository.update(id, categoryData);
+
+      await Audit.record('category.updated', {
+        actorId: actor.id,
+        targetType: 'category',
+        targetId: id,
+        context,
+        before: existingCategory,
+        after: category,
+      });
+
+      logger.info(`Category updated by user ${actor.id}: ${category.slug}`);
+      return category;
+    } catch (error) {
+      logger.error('Error in updateCategory service:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Deletes an unused category. With reassignTo its items and subcategories
+   * move to that category first, which is also how duplicates are merged.
+   */
+  async deleteCategory(id, { reassignTo }, actor, context = {}) {
+    try {
+      const existingCategory = await this.getExistingCategory(id);
+
+      if (reassignTo) {
+        await this.assertExists(reassignTo, 'Category');
+        const subtree = await this.categoriesRepository.findSubtreeIds(id);
+        if (subtree.includes(reassignTo)) {
+          throw new AppError('Cannot reassign to the category itself or one of its subcategories', 400);
+        }
+      } else {
+        const { children, items } = await this.categoriesRepository.countDependents(id);
+        if (children > 0 || items > 0) {
+          throw new AppError(
+            `Category still has ${children} subcategories and ${items} items; move them or pass reassignTo`,
+            409
+          );
+        }
+      }
+
+      const moved = await this.categoriesRepository.delete(id, { reassignTo, editorId: actor.id });
+      const movedItems = moved.length;
+
+      for (const { existingItem, item } of moved) {
+        await Audit.record('item.updated', {
+          actorId: actor.id,
+          targetType: 'item',
+          targetId: item.id,
+          context,
+          before: existingItem,
+          after: item,
+          deletedCategory: id,
+        });
+      }
+
+      await Audit.record('category.deleted', {
+        actorId: actor.id,
+        targetType: 'category',
+        targetId: id,
+        context,
+        before: existingCategory,
+        ...(reassignTo && { reassignedTo: reassignTo, movedItems }),
+      });
+
+      logger.info(`Category deleted by user ${actor.id}: ${existingCategory.slug}`);
+      return { movedItems };
+    } catch (error) {
+      logger.error('Error in deleteCategory service:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Turns the category filter of item queries (an id or slug) into categoryIds:
+   * the category and all of its subcategories. An unknown category matches nothing.
+   */
+  async resolveItemFilter({ category, ...filters }) {
+    try {
+      if (category === undefined) {
+        return filters;
+      }
+
+      const found = await this.findCategory(category);
+      return {
+        ...filters,
+        categoryIds: found ? await this.categoriesRepository.findSubtreeIds(found.id) : [],
+      };
+    } catch (error) {
+      logger.error('Error in resolveItemFilter service:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Throws 400 when a referenced category id is set but does not exist.
+   */
+  async assertExists(id, label = 'Category') {
+    if (id === undefined || id === null) {
+      return;
+    }
+
+    const category = await this.categoriesRepository.findById(id);
+    if (!category) {
+      throw new AppError(`${label} ${id} does not exist`, 400);
+    }
+  }
+
+  /**
+   * The subset of the given category ids that exist, for validating many items at once.
+   */
+  async findExistingIds(ids) {
+    return ids.length > 0 ? this.categoriesRepository.findExistingIds(ids) : new Set();
+  }
+
+  async findCategory(idOrSlug) {
+    return typeof idOrSlug === 'number'
+      ? this.categoriesRepository.findById(idOrSlug)
+      : this.categoriesRepository.findBySlug(idOrSlug);
+  }
+
+  async getExistingCategory(id) {
+    const category = await this.categoriesRepository.findById(id);
+    if (!category) {
+      throw new AppError('Category not found', 404);
+    }
+    return category;
+  }
+
+  async checkSlug(slug) {
+    if (!slug) {
+      throw new AppError('A slug could not be derived from the name; please provide one', 400);
+    }
+    if (await this.categoriesRepository.findBySlug(slug)) {
+      throw new AppError(`A category with slug ${slug} already exists`, 409);
+    }
+    return slug;
+  }
+}
+
+module.exports = CategoriesService;
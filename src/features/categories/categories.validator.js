@@ -0,0 +1,56 @@
+const Joi = require('joi');
+
+// Not all digits, or it could not be told apart from an id
+const SLUG_PATTERN = /^(?![0-9]+$)[a-z0-9]+(-[a-z0-9]+)*$/;
+
+const categoryFields = {
+  name: Joi.string().trim().min(2).max(50).messages({
+    'string.min': 'Category name must be at least 2 characters long',
+    'string.max': 'Category name must not exceed 50 characters',
+  }),
+  slug: Joi.string().trim().max(60).pattern(SLUG_PATTERN).messages({
+    'string.pattern.base': 'Slug may only contain lowercase letters, digits and single hyphens, and not only digits',
+  }),
+  description: Joi.string().trim().max(500).allow(null),
+  parentId: Joi.number().integer().positive().allow(null),
+};
+
+const createCategorySchema = Joi.object({
+  ...categoryFields,
+  name: categoryFields.name.required().messages({
+    'any.required': 'Category name is required',
+  }),
+});
+
+const updateCategorySchema = Joi.object(categoryFields).min(1);
+
+const categoryParamsSchema = Joi.object({
+  id: Joi.number().integer().positive().required().messages({
+    'number.base': 'Category ID must be a number',
+  }),
+});
+
+// GET accepts either the numeric id or the slug
+const categoryLookupSchema = Joi.object({
+  idOrSlug: Joi.alternatives()
+    .try(
+      Joi.number().integer().positive(),
+      Joi.string().pattern(SLUG_PATTERN).messages({
+        'string.pattern.base': 'Category must be an ID or a slug',
+      })
+    )
+    .required(),
+});
+
+const deleteCategorySchema = Joi.object({
+  reassignTo: Joi.number().integer().positive().optional(),
+});
+
+module.exports = {
+  SLUG_PATTERN,
+  createCategorySchema,
+  updateCategorySchema,
+  categoryParamsSchema,
+  categoryLookupSchema,
+  deleteCategorySchema,
+};
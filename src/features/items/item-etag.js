@@ -0,0 +1,34 @@
+// Strong entity tag for an item version, e.g. "7"
+const ENTITY_TAG = /^"(\d+)"$/;
+
+class ItemEtag {
+  static of(item) {
+    return `"${item.version}"`;
+  }
+
+  /**
+   * Parses an If-Match header. Returns null when absent, '*' for any version,
+   * or the list of versions it names. Weak and unrecognized tags are dropped,
+   * since If-Match only ever matches strong tags.
+   */
+  static parseIfMatch(header) {
+    if (header === undefined || header === null || header.trim() === '') {
+      return null;
+    }
+
+    if (header.trim() === '*') {
+      return '*';
+    }
+
+    return header.split(',')
+      .map((tag) => ENTITY_TAG.exec(tag.trim()))
+      .filter(Boolean)
+      .map((match) => parseInt(match[1], 10));
+  }
+
+  static matches(item, ifMatch) {
+    return ifMatch === '*' || ifMatch.includes(item.version);
+  }
+}
+
+module.exports = ItemEtag;
@@ -0,0 +1,34 @@
+const JsonPatch = require('../../common/utils/json-patch');
+const ItemSnapshot = require('./item-snapshot');
+
+const MEDIA_TYPES = {
+  'merge-patch': 'application/merge-patch+json',
+  'json-patch': 'application/json-patch+json',
+};
+
+class ItemPatch {
+  // Value for the Accept-Patch header
+  static ACCEPTED = Object.values(MEDIA_TYPES).join(', ');
+
+  /**
+   * 'merge-patch' or 'json-patch' depending on the request Content-Type, null for anything else.
+   */
+  static formatOf(req) {
+    return Object.keys(MEDIA_TYPES).find((format) => req.is(MEDIA_TYPES[format])) || null;
+  }
+
+  /**
+   * Applies the patch to the item's editable fields as the API returns them
+   * (price as a decimal string, absent values as null). The result still has
+   * to be validated as a complete item.
+   */
+  static apply(item, format, patch) {
+    const document = ItemSnapshot.from(item);
+
+    return format === 'json-patch'
+      ? JsonPatch.apply(document, patch)
+      : JsonPatch.merge(document, patch);
+  }
+}
+
+module.exports = ItemPatch;
@@ -0,0 +1,107 @@
+const prismaClient = require('../../common/database/prisma.client');
+const ItemSnapshot = require('./item-snapshot');
+const logger = require('../../common/utils/logger');
+
+const editorSelect = { select: { id: true, username: true } };
+
+class ItemRevisionRepository {
+  constructor() {
+    this.prisma = prismaClient.getClient();
+  }
+
+  /**
+   * Records the item's new state as its next revision, inside the caller's
+   * transaction. The caller must have written the item first: the row lock that
+   * takes serializes concurrent appends, so revision numbers never collide.
+   * Returns null without writing when no tracked field changed.
+   */
+  async append(tx, item, { editorId, revertedFrom } = {}) {
+    try {
+      const latest = await tx.itemRevision.findFirst({
+        where: { itemId: item.id },
+        orderBy: { revision: 'desc' },
+      });
+
+      const snapshot = ItemSnapshot.from(item);
+      const changes = ItemSnapshot.diff(latest ? latest.snapshot : null, snapshot);
+      if (latest && Object.keys(changes).length === 0) {
+        return null;
+      }
+
+      return await tx.itemRevision.create({
+        data: {
+          itemId: item.id,
+          revision: latest ? latest.revision + 1 : 1,
+          editorId: editorId || null,
+          snapshot,
+          changes,
+          revertedFrom: revertedFrom || null,
+        },
+      });
+    } catch (error) {
+      logger.error('Error in append item revision:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Newest revision first. Snapshots are left out; fetch a single revision for those.
+   */
+  async findByItemId(itemId, page = 1, limit = 20) {
+    try {
+      const where = { itemId };
+
+      const [revisions, total] = await Promise.all([
+        this.prisma.itemRevision.findMany({
+          where,
+          omit: { snapshot: true },
+          include: { editor: editorSelect },
+          orderBy: { revision: 'desc' },
+          skip: (page - 1) * limit,
+          take: limit,
+        }),
+        this.prisma.itemRevision.count({ where }),
+      ]);
+
+      return {
+        revisions,
+        pagination: {
+          page,
+          limit,
+          total,
+          totalPages: Math.ceil(total / limit),
+        },
+      };
+    } catch (error) {
+      logger.error('Error in findByItemId revisions:', error);
+      throw error;
+    }
+  }
+
+  async findOne(itemId, revision) {
+    try {
+      return await this.prisma.itemRevision.findUnique({
+        where: { itemId_revision: { itemId, revision } },
+        include: { editor: editorSelect },
+      });
+    } catch (error) {
+      logger.error('Error in findOne revision:', error);
+      throw error;
+    }
+  }
+
+  async findLatest(itemId) {
+    try {
+      return await this.prisma.itemRevision.findFirst({
+        where: { itemId },
+        orderBy: { revision: 'desc' },
+        include: { editor: editorSelect },
+      });
+    } catch (error) {
+      logger.error('Error in findLatest revision:', error);
+      throw error;
+    }
+  }
+}
+
+module.exports = ItemRevisionRepository;
@@ -0,0 +1,159 @@
+const { Prisma } = require('@prisma/client');
+const prismaClient = require('../../common/database/prisma.client');
+const logger = require('../../common/utils/logger');
+
+// Must match the configuration used for items.search_vector in the migration
+const TEXT_SEARCH_CONFIG = 'english';
+
+// Minimum pg_trgm word similarity for the typo-tolerant fallback (0-1)
+const FUZZY_THRESHOLD = 0.3;
+
+// ts_headline marks matches with these; they are swapped for <mark> after the text is HTML-escaped
+const MATCH_START = '\u0002';
+const MATCH_STOP = '\u0003';
+
+const NAME_HEADLINE_OPTIONS = `StartSel=${MATCH_START}, StopSel=${MATCH_STOP}, HighlightAll=true`;
+const SNIPPET_HEADLINE_OPTIONS = `StartSel=${MATCH_START}, StopSel=${MATCH_STOP}, MaxWords=25, MinWords=10, MaxFragments=2, FragmentDelimiter=" … "`;
+
+const HTML_ESCAPES = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' };
+
+const toHighlight = (headline) => {
+  if (!headline) {
+    return null;
+  }
+
+  return headline
+    .replace(/[&<>"']/g, (char) => HTML_ESCAPES[char])
+    .replaceAll(MATCH_START, '<mark>')
+    .replaceAll(MATCH_STOP, '</mark>');
+};
+
+/**
+ * Splits "lapt* \"mechanical keyboard\" -used" into the prefix terms (["lapt"])
+ * and the rest, which websearch_to_tsquery understands as-is: quoted phrases,
+ * "or" and -negation.
+ */
+const parseQuery = (q) => {
+  const prefixes = [];
+  const text = q.replace(/"[^"]*"|(^|\s)([\p{L}\p{N}]+)\*(?=\s|$)/gu, (match, space, word) => {
+    if (!word) {
+      return match;
+    }
+    prefixes.push(word);
+    return space;
+  });
+
+  return { text: text.trim(), prefixes };
+};
+
+class ItemSearchRepository {
+  constructor() {
+    this.prisma = prismaClient.getClient();
+  }
+
+  /**
+   * Ranked full-text search over name (weight A), description (B) and category name (C).
+   * Returns { ids, total, matches } where matches maps each id to its rank and highlights.
+   */
+  async searchFullText(q, filters, page, limit) {
+    try {
+      const { text, prefixes } = parseQuery(q);
+
+      const tsQuery = [
+        ...(text ? [Prisma.sql`websearch_to_tsquery(${TEXT_SEARCH_CONFIG}::regconfig, ${text})`] : []),
+        ...prefixes.map((prefix) => Prisma.sql`to_tsquery(${TEXT_SEARCH_CONFIG}::regconfig, ${`${prefix}:*`})`),
+      ];
+      if (tsQuery.length === 0) {
+        return { ids: [], total: 0, matches: new Map() };
+      }
+
+      const query = Prisma.join(tsQuery, ' && ');
+      const where = Prisma.sql`i.search_vector @@ (${query}) AND ${this.buildConditions(filters)}`;
+
+      const [rows, [{ total }]] = await Promise.all([
+        this.prisma.$queryRaw`
+          WITH search AS (SELECT ${query} AS query)
+          SELECT
+            i.id,
+            ts_rank_cd(i.search_vector, search.query) AS rank,
+            ts_headline(${TEXT_SEARCH_CONFIG}::regconfig, i.name, search.query, ${NAME_HEADLINE_OPTIONS}) AS name_highlight,
+            CASE WHEN i.description IS NULL THEN NULL
+              ELSE ts_headline(${TEXT_SEARCH_CONFIG}::regconfig, i.description, search.query, ${SNIPPET_HEADLINE_OPTIONS})
+            END AS description_highlight
+          FROM items i, search
+          WHERE ${where}
+          ORDER BY rank DESC, i.id DESC
+          LIMIT ${limit} OFFSET ${(page - 1) * limit}
+        `,
+        this.prisma.$queryRaw`SELECT count(*) AS total FROM items i WHERE ${where}`,
+      ]);
+
+      return this.toResult(rows, total, (row) => ({
+        rank: row.rank,
+        highlights: {
+          name: toHighlight(row.name_highlight),
+          description: toHighlight(row.description_highlight),
+        },
+      }));
+    } catch (error) {
+      logger.error('Error in searchFullText:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Trigram fallback for misspelt searches: items whose name contains a word
+   * similar to the query, most similar first. Uses the trigram index on name.
+   */
+  async searchFuzzy(q, filters, page, limit) {
+    try {
+      const where = Prisma.sql`${q} <% i.name AND ${this.buildConditions(filters)}`;
+
+      // The threshold is transaction-local, so every query that relies on it runs in the same transaction
+      const [, rows, [{ total }]] = await this.prisma.$transaction([
+        this.prisma.$queryRaw`SELECT set_config('pg_trgm.word_similarity_threshold', ${String(FUZZY_THRESHOLD)}, true)`,
+        this.prisma.$queryRaw`
+          SELECT i.id, word_similarity(${q}, i.name) AS rank
+          FROM items i
+          WHERE ${where}
+          ORDER BY rank DESC, i.id DESC
+          LIMIT ${limit} OFFSET ${(page - 1) * limit}
+        `,
+        this.prisma.$queryRaw`SELECT count(*) AS total FROM items i WHERE ${where}`,
+      ]);
+
+      return this.toResult(rows, total, (row) => ({ rank: row.rank, highlights: null }));
+    } catch (error) {
+      logger.error('Error in searchFuzzy:', error);
+      throw error;
+    }
+  }
+
+  buildConditions({ categoryIds, minPrice, maxPrice, createdAfter, createdBefore, owner }) {
+    const conditions = [
+      Prisma.sql`i.deleted_at IS NULL`,
+      // An unknown category resolves to no ids and matches nothing
+      ...(categoryIds ? [categoryIds.length > 0
+        ? Prisma.sql`i.category_id IN (${Prisma.join(categoryIds)})`
+        : Prisma.sql`FALSE`] : []),
+      ...(minPrice !== undefined ? [Prisma.sql`i.price >= ${minPrice}`] : []),
+      ...(maxPrice !== undefined ? [Prisma.sql`i.price <= ${maxPrice}`] : []),
+      ...(createdAfter ? [Prisma.sql`i.created_at >= ${createdAfter}`] : []),
+      ...(createdBefore ? [Prisma.sql`i.created_at < ${createdBefore}`] : []),
+      ...(owner ? [Prisma.sql`i.user_id = ${owner}`] : []),
+    ];
+
+    return Prisma.join(conditions, ' AND ');
+  }
+
+  toResult(rows, total, toMatch) {
+    return {
+      ids: rows.map((row) => row.id),
+      // count(*) comes back as a BigInt
+      total: Number(total),
+      matches: new Map(rows.map((row) => [row.id, toMatch(row)])),
+    };
+  }
+}
+
+module.exports = ItemSearchRepository;
@@ -0,0 +1,30 @@
+// Fields whose history is kept in item revisions
+const TRACKED_FIELDS = ['name', 'description', 'price', 'categoryId'];
+
+class ItemSnapshot {
+  /**
+   * The tracked fields of an item as the API returns them (price as a decimal string).
+   */
+  static from(item) {
+    return {
+      name: item.name,
+      description: item.description ?? null,
+      price: item.price === null || item.price === undefined ? null : item.price.toString(),
+      categoryId: item.categoryId ?? null,
+    };
+  }
+
+  /**
+   * Maps every tracked field that differs to { from, to }. A missing before
+   * snapshot (a newly created item) counts as all fields being null.
+   */
+  static diff(before, after) {
+    const valueIn = (snapshot, field) => (snapshot ? snapshot[field] ?? null : null);
+
+    return Object.fromEntries(TRACKED_FIELDS
+      .filter((field) => valueIn(before, field) !== valueIn(after, field))
+      .map((field) => [field, { from: valueIn(before, field), to: valueIn(after, field) }]));
+  }
+}
+
+module.exports = ItemSnapshot;
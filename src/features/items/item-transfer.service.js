@@ -0,0 +1,298 @@
+const ItemsRepository = require('./items.repository');
+const { importItemSchema } = require('./items.validator');
+const CategoriesService = require('../categories/categories.service');
+const Audit = require('../../common/utils/audit');
+const Csv = require('../../common/utils/csv');
+const Batches = require('../../common/utils/batches');
+const logger = require('../../common/utils/logger');
+const AppError = require('../../common/errors/AppError');
+
+const EXPORT_BATCH_SIZE = 500;
+
+const IMPORT_MAX_ROWS = parseInt(process.env.ITEMS_IMPORT_MAX_ROWS, 10) || 5000;
+
+// Each imported row is audited like the single-item write it amounts to
+const IMPORT_AUDIT_EVENTS = { create: 'item.created', update: 'item.updated' };
+
+const EXPORT_FIELDS = [
+  'id',
+  'externalKey',
+  'name',
+  'description',
+  'price',
+  'categoryId',
+  'userId',
+  'createdAt',
+  'updatedAt',
+  'version',
+];
+
+const toRecord = (item) => Object.fromEntries(EXPORT_FIELDS.map((field) => [
+  field,
+  field === 'price' ? item.price.toString() : item[field] ?? null,
+]));
+
+// How each export format opens, writes a record and closes the stream
+const EXPORT_FORMATS = {
+  csv: {
+    contentType: 'text/csv; charset=utf-8',
+    start: Csv.row(EXPORT_FIELDS),
+    record: (record) => Csv.row(EXPORT_FIELDS.map((field) => record[field])),
+    end: '',
+  },
+  ndjson: {
+    contentType: 'application/x-ndjson; charset=utf-8',
+    start: '',
+    record: (record) => `${JSON.stringify(record)}\n`,
+    end: '',
+  },
+  json: {
+    contentType: 'application/json; charset=utf-8',
+    start: '[',
+    record: (record, index) => `${index > 0 ? ',' : ''}${JSON.stringify(record)}`,
+    end: ']\n',
+  },
+};
+
+class ItemTransferService {
+  constructor() {
+    this.itemsRepository = new ItemsRepository();
+    this.categoriesService = new CategoriesService();
+  }
+
+  static contentTypeOf(format) {
+    return EXPORT_FORMATS[format].contentType;
+  }
+
+  /**
+   * Writes every item matching the listing filters in the given format,
+   * reading in batches so large exports are never held in memory at once.
+   *
+   * @param {function(string): Promise<void>} write receives each chunk of text
+   */
+  async exportItems(query, format, write) {
+    try {
+      const filters = await this.categoriesService.resolveItemFilter(query);
+      const { start, record, end } = EXPORT_FORMATS[format];
+      await write(start);
+
+      const batches = Batches.byId(
+        (afterId, take) => this.itemsRepository.findBatch(filters, afterId, take),
+        EXPORT_BATCH_SIZE
+      );
+      let written = 0;
+      for await (const items of batches) {
+        await write(items.map((item, index) => record(toRecord(item), written + index)).join(''));
+        written += items.length;
+      }
+
+      await write(end);
+    } catch (error) {
+      logger.error('Error in exportItems service:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Imports CSV or NDJSON rows as items owned by the user. Every row is
+   * validated first; unless all of them are valid nothing is written. Rows with
+   * an externalKey the user already has are refused, or updated when upsert is set.
+   * A dry run reports what would happen without writing anything.
+   */
+  async importItems(body, format, { dryRun, upsert }, user, context = {}) {
+    try {
+      const rows = format === 'csv' ? this.parseCsv(body) : this.parseNdjson(body);
+      if (rows.length === 0) {
+        throw new AppError('The import contains no rows', 400);
+      }
+      if (rows.length > IMPORT_MAX_ROWS) {
+        throw new AppError(`An import may contain at most ${IMPORT_MAX_ROWS} rows`, 413);
+      }
+
+      const plans = await this.planImport(rows, upsert, user);
+      const errors = plans
+        .filter((plan) => plan.errors)
+        .map(({ row, errors: messages }) => ({ row, errors: messages }));
+
+      const report = {
+        dryRun,
+        total: plans.length,
+        created: plans.filter((plan) => plan.action === 'create').length,
+        updated: plans.filter((plan) => plan.action === 'update').length,
+        failed: errors.length,
+        errors,
+      };
+
+      if (dryRun) {
+        return report;
+      }
+
+      if (errors.length > 0) {
+        throw new AppError('No rows were imported because some of them are invalid', 422, true, {
+          details: errors,
+        });
+      }
+
+      const written = await this.writeImport(plans, user);
+
+      for (const { action, item, existingItem } of written) {
+        await Audit.record(IMPORT_AUDIT_EVENTS[action], {
+          actorId: user.id,
+          targetType: 'item',
+          targetId: item.id,
+          context,
+          before: existingItem,
+          after: item,
+          import: true,
+        });
+      }
+
+      await Audit.record('item.imported', {
+        actorId: user.id,
+        context,
+        format,
+        created: report.created,
+        updated: report.updated,
+      });
+
+      logger.info(`User ${user.id} imported ${report.created} new and ${report.updated} updated item(s)`);
+      return report;
+    } catch (error) {
+      logger.error('Error in importItems service:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Validates every row and decides whether it creates or updates an item.
+   * Returns one { row, action, data, existingItem } or { row, errors } per row.
+   */
+  async planImport(rows, upsert, user) {
+    const validated = rows.map(({ row, data, error }) => {
+      if (error) {
+        return { row, errors: [error] };
+      }
+
+      const result = importItemSchema.validate(data, { abortEarly: false, stripUnknown: true });
+      return result.error
+        ? { row, errors: result.error.details.map((detail) => detail.message) }
+        : { row, data: result.value };
+    });
+
+    const valid = validated.filter((plan) => plan.data);
+    const keys = valid.filter((plan) => plan.data.externalKey).map((plan) => plan.data.externalKey);
+    const existingItems = new Map((await this.itemsRepository.findByExternalKeys(user.id, keys))
+      .map((item) => [item.externalKey, item]));
+    const categoryIds = await this.categoriesService.findExistingIds(valid
+      .filter((plan) => plan.data.categoryId)
+      .map((plan) => plan.data.categoryId));
+
+    const seenKeys = new Map();
+
+    return validated.map((plan) => {
+      if (plan.errors) {
+        return plan;
+      }
+
+      const { externalKey, categoryId } = plan.data;
+      if (categoryId && !categoryIds.has(categoryId)) {
+        return { row: plan.row, errors: [`Category ${categoryId} does not exist`] };
+      }
+      if (!externalKey) {
+        return { ...plan, action: 'create' };
+      }
+
+      if (seenKeys.has(externalKey)) {
+        return { row: plan.row, errors: [`externalKey ${externalKey} is already used by row ${seenKeys.get(externalKey)}`] };
+      }
+      seenKeys.set(externalKey, plan.row);
+
+      const existingItem = existingItems.get(externalKey);
+      if (!existingItem) {
+        return { ...plan, action: 'create' };
+      }
+      if (existingItem.deletedAt) {
+        return { row: plan.row, errors: [`externalKey ${externalKey} belongs to item ${existingItem.id}, which is in the trash`] };
+      }
+      if (!upsert) {
+        return { row: plan.row, errors: [`externalKey ${externalKey} already exists; import with upsert=true to update item ${existingItem.id}`] };
+      }
+      return { ...plan, action: 'update', existingItem };
+    });
+  }
+
+  /**
+   * Writes every planned row in one transaction and returns { action, item, existingItem } for each.
+   */
+  async writeImport(plans, user) {
+    try {
+      return await this.itemsRepository.transaction(async (tx) => {
+        const written = [];
+        for (const { action, data, existingItem } of plans) {
+          const item = action === 'create'
+            ? await this.itemsRepository.createWithin(tx, { ...data, userId: user.id })
+            : await this.itemsRepository.updateWithin(tx, existingItem.id, data, { editorId: user.id }, existingItem.version);
+          written.push({ action, item, existingItem });
+        }
+        return written;
+      });
+    } catch (error) {
+      // Another write got to an item (or key) between planning and writing
+      if (error.code === 'P2025' || error.code === 'P2002') {
+        throw new AppError('Items changed while importing, so nothing was imported; please retry', 409);
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * The first record is the header; columns other than the item fields are ignored
+   * and empty cells count as missing.
+   */
+  parseCsv(body) {
+    let records;
+    try {
+      records = Csv.parse(body);
+    } catch (error) {
+      throw new AppError(`Invalid CSV: ${error.message}`, 400);
+    }
+
+    if (records.length === 0) {
+      return [];
+    }
+
+    const header = records[0].map((column) => column.trim());
+    const missing = ['name', 'price'].filter((column) => !header.includes(column));
+    if (missing.length > 0) {
+      throw new AppError(`The CSV header is missing ${missing.join(' and ')}`, 400);
+    }
+
+    // Numbered as a spreadsheet shows them, with the header on row 1
+    return records.slice(1).map((cells, index) => ({
+      row: index + 2,
+      data: Object.fromEntries(header
+        .map((column, position) => [column, cells[position]])
+        .filter(([, value]) => value !== undefined && value !== '')),
+    }));
+  }
+
+  parseNdjson(body) {
+    return body
+      .split(/\r?\n/)
+      .map((line, index) => ({ line: line.trim(), row: index + 1 }))
+      .filter(({ line }) => line !== '')
+      .map(({ line, row }) => {
+        try {
+          const data = JSON.parse(line);
+          if (data === null || typeof data !== 'object' || Array.isArray(data)) {
+            return { row, error: 'Row must be a JSON object' };
+          }
+          return { row, data };
+        } catch (error) {
+          return { row, error: 'Row is not valid JSON' };
+        }
+      });
+  }
+}
+
+module.exports = ItemTransferService;
@@ -1,37 +1,24 @@
 const ItemsService = require('./items.service');
-const logger = require('../../common/utils/logger');
+const ItemTransferService = require('./item-transfer.service');
+const ItemEtag = require('./item-etag');
+const ItemPatch = require('./item-patch');
+const RequestContext = require('../../common/utils/request-context');
+const Download = require('../../common/utils/download');
 
 class ItemsController {
   constructor() {
     this.itemsService = new ItemsService();
+    this.itemTransferService = new ItemTransferService();
   }
 
   getAllItems = async (req, res, next) => {
     try {
-      const { page, limit, search } = req.query;
-
-      let items;
-
-      if (page && limit) {
-        const result = await this.itemsService.getItemsWithPagination(
-          parseInt(page),
-          parseInt(limit)
-        );
-        return res.json({
-          success: true,
-          message: 'Items retrieved successfully',
-          data: result,
-        });
-      } else if (search) {
-        items = await this.itemsService.searchItems(search);
-      } else {
-        items = await this.itemsService.getAllItems();
-      }
+      const result = await this.itemsService.listItems(req.query);
 
       res.json({
         success: true,
         message: 'Items retrieved successfully',
-        data: { items, user: req.user },
+        data: result,
       });
     } catch (error) {
       next(error);
@@ -40,12 +27,167 @@ class ItemsController {
 
   getMyItems = async (req, res, next) => {
     try {
-      const items = await this.itemsService.getItemsByUser(req.user.id);
+      const result = await this.itemsService.listItems({ ...req.query, owner: req.user.id });
 
       res.json({
         success: true,
         message: 'Your items retrieved successfully',
-        data: { items },
+        data: result,
+      });
+    } catch (error) {
+      next(error);
+    }
+  };
+
+  searchItems = async (req, res, next) => {
+    try {
+      const result = await this.itemsService.searchItems(req.query);
+
+      res.json({
+        success: true,
+        message: 'Search completed successfully',
+        data: result,
+      });
+    } catch (error) {
+      next(error);
+    }
+  };
+
+  exportItems = async (req, res, next) => {
+    try {
+      const { format, ...filters } = req.query;
+
+      await Download.send(res, {
+        contentType: ItemTransferService.contentTypeOf(format),
+        filename: Download.filename('items', format),
+      }, (write) => this.itemTransferService.exportItems(filters, format, write));
+    } catch (error) {
+      next(error);
+    }
+  };
+
+  importItems = async (req, res, next) => {
+    try {
+      const result = await this.itemTransferService.importItems(
+        req.body,
+        req.is('text/csv') ? 'csv' : 'ndjson',
+        req.query,
+        req.user,
+        RequestContext.from(req)
+      );
+
+      res.json({
+        success: true,
+        message: result.dryRun ? 'Import checked, nothing was written' : 'Items imported successfully',
+        data: result,
+      });
+    } catch (error) {
+      next(error);
+    }
+  };
+
+  getTrash = async (req, res, next) => {
+    try {
+      const result = await this.itemsService.getTrash(req.query, req.user);
+
+      res.json({
+        success: true,
+        message: 'Trash retrieved successfully',
+        data: result,
+      });
+    } catch (error) {
+      next(error);
+    }
+  };
+
+  restoreItem = async (req, res, next) => {
+    try {
+      const item = await this.itemsService.restoreItem(
+        parseInt(req.params.id),
+        req.user,
+        RequestContext.from(req),
+        ItemEtag.parseIfMatch(req.get('If-Match'))
+      );
+
+      res.set('ETag', ItemEtag.of(item));
+      res.json({
+        success: true,
+        message: 'Item restored successfully',
+        data: { item },
+      });
+    } catch (error) {
+      next(error);
+    }
+  };
+
+  getRevisions = async (req, res, next) => {
+    try {
+      const result = await this.itemsService.getRevisions(
+        parseInt(req.params.id),
+        req.query.page,
+        req.query.limit
+      );
+
+      res.json({
+        success: true,
+        message: 'Revisions retrieved successfully',
+        data: result,
+      });
+    } catch (error) {
+      next(error);
+    }
+  };
+
+  getRevision = async (req, res, next) => {
+    try {
+      const revision = await this.itemsService.getRevision(
+        parseInt(req.params.id),
+        parseInt(req.params.rev)
+      );
+
+      res.json({
+        success: true,
+        message: 'Revision retrieved successfully',
+        data: { revision },
+      });
+    } catch (error) {
+      next(error);
+    }
+  };
+
+  diffRevisions = async (req, res, next) => {
+    try {
+      const diff = await this.itemsService.diffRevisions(
+        parseInt(req.params.id),
+        req.query.from,
+        req.query.to
+      );
+
+      res.json({
+        success: true,
+        message: 'Revision diff retrieved successfully',
+        data: diff,
+      });
+    } catch (error) {
+      next(error);
+    }
+  };
+
+  revertItem = async (req, res, next) => {
+    try {
+      const item = await this.itemsService.revertItem(
+        parseInt(req.params.id),
+        parseInt(req.params.rev),
+        req.user,
+        RequestContext.from(req),
+        ItemEtag.parseIfMatch(req.get('If-Match'))
+      );
+
+      res.set('ETag', ItemEtag.of(item));
+      res.json({
+        success: true,
+        message: 'Item reverted successfully',
+        data: { item },
       });
     } catch (error) {
       next(error);
@@ -56,6 +198,13 @@ class ItemsController {
     try {
       const item = await this.itemsService.getItemById(parseInt(req.params.id));
 
+      // Express answers If-None-Match / If-Modified-Since with 304 from these headers
+      res.set({
+        ETag: ItemEtag.of(item),
+        'Last-Modified': item.updatedAt.toUTCString(),
+        'Cache-Control': 'private, no-cache',
+        'Accept-Patch': ItemPatch.ACCEPTED,
+      });
       res.json({
         success: true,
         message: 'Item retrieved successfully',
@@ -68,8 +217,9 @@ class ItemsController {
 
   createItem = async (req, res, next) => {
     try {
-      const item = await this.itemsService.createItem(req.body, req.user.id);
+      const item = await this.itemsService.createItem(req.body, req.user.id, RequestContext.from(req));
 
+      res.set('ETag', ItemEtag.of(item));
       res.status(201).json({
         success: true,
         message: 'Item created successfully',
@@ -80,14 +230,53 @@ class ItemsController {
     }
   };
 
+  bulkItems = async (req, res, next) => {
+    try {
+      const result = await this.itemsService.bulkItems(req.body, req.user, RequestContext.from(req));
+
+      res.json({
+        success: true,
+        message: result.failed > 0 ? 'Bulk request completed with failures' : 'Bulk request completed successfully',
+        data: result,
+      });
+    } catch (error) {
+      next(error);
+    }
+  };
+
   updateItem = async (req, res, next) => {
     try {
       const item = await this.itemsService.updateItem(
         parseInt(req.params.id),
         req.body,
-        req.user.id
+        req.user,
+        RequestContext.from(req),
+        ItemEtag.parseIfMatch(req.get('If-Match'))
+      );
+
+      res.set('ETag', ItemEtag.of(item));
+      res.json({
+        success: true,
+        message: 'Item updated successfully',
+        data: { item },
+      });
+    } catch (error) {
+      next(error);
+    }
+  };
+
+  patchItem = async (req, res, next) => {
+    try {
+      const item = await this.itemsService.patchItem(
+        parseInt(req.params.id),
+        req.body,
+        ItemPatch.formatOf(req),
+        req.user,
+        RequestContext.from(req),
+        ItemEtag.parseIfMatch(req.get('If-Match'))
       );
 
+      res.set('ETag', ItemEtag.of(item));
       res.json({
         success: true,
         message: 'Item updated successfully',
@@ -100,11 +289,16 @@ class ItemsController {
 
   deleteItem = async (req, res, next) => {
     try {
-      await this.itemsService.deleteItem(parseInt(req.params.id), req.user.id);
+      await this.itemsService.deleteItem(
+        parseInt(req.params.id),
+        req.user,
+        RequestContext.from(req),
+        ItemEtag.parseIfMatch(req.get('If-Match'))
+      );
 
       res.json({
         success: true,
-        message: 'Item deleted successfully',
+        message: 'Item moved to trash',
         data: null,
       });
     } catch (error) {
@@ -1,41 +1,38 @@
 const prismaClient = require('../../common/database/prisma.client');
+const ItemRevisionRepository = require('./item-revision.repository');
+const Cursor = require('../../common/utils/cursor');
 const logger = require('../../common/utils/logger');
 
+// Trashed items are invisible to every query unless it asks for them explicitly
+const NOT_DELETED = { deletedAt: null };
+
+// Bulk writes can run hundreds of statements; Prisma's default is 5 seconds
+const BULK_TRANSACTION_TIMEOUT = 60000;
+
 class ItemsRepository {
   constructor() {
     this.prisma = prismaClient.getClient();
+    this.itemRevisionRepository = new ItemRevisionRepository();
   }
 
-  async findAll() {
+  async findById(id) {
     try {
-      return await this.prisma.item.findMany({
-        orderBy: { createdAt: 'desc' },
+      return await this.prisma.item.findUnique({
+        where: { id, ...NOT_DELETED },
       });
     } catch (error) {
-      logger.error('Error in findAll:', error);
+      logger.error('Error in findById:', error);
       throw error;
     }
   }
 
-  async findByUserId(userId) {
+  async findByIds(ids) {
     try {
       return await this.prisma.item.findMany({
-        where: { userId },
-        orderBy: { createdAt: 'desc' },
+        where: { id: { in: ids }, ...NOT_DELETED },
       });
     } catch (error) {
-      logger.error('Error in findByUserId:', error);
-      throw error;
-    }
-  }
-
-  async findById(id) {
-    try {
-      return await this.prisma.item.findUnique({
-        where: { id },
-      });
-    } catch (error) {
-      logger.error('Error in findById:', error);
+      logger.error('Error in findByIds:', error);
       throw error;
     }
   }
@@ -46,6 +43,7 @@ class ItemsRepository {
         where: {
           id,
           userId,
+          ...NOT_DELETED,
         },
       });
     } catch (error) {
@@ -54,80 +52,228 @@ class ItemsRepository {
     }
   }
 
-  async create(itemData) {
+  /**
+   * The owner's items with any of the given external keys, including trashed ones.
+   */
+  async findByExternalKeys(userId, externalKeys) {
     try {
-      return await this.prisma.item.create({
-        data: {
-          name: itemData.name,
-          description: itemData.description || null,
-          price: itemData.price,
-          category: itemData.category || null,
-          userId: itemData.userId,
-        },
+      return await this.prisma.item.findMany({
+        where: { userId, externalKey: { in: externalKeys } },
+      });
+    } catch (error) {
+      logger.error('Error in findByExternalKeys:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Keyset-paginated read for exports in id order: pass the last id of the previous batch.
+   */
+  async findBatch(filters, afterId, take) {
+    try {
+      const where = this.buildWhere(filters);
+
+      return await this.prisma.item.findMany({
+        where: afterId ? { AND: [where, { id: { gt: afterId } }] } : where,
+        orderBy: { id: 'asc' },
+        take,
       });
+    } catch (error) {
+      logger.error('Error in findBatch:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Runs work(tx) in a single transaction, for callers that combine several
+   * of the *Within writes below into one all-or-nothing unit.
+   */
+  async transaction(work) {
+    try {
+      return await this.prisma.$transaction(work, { timeout: BULK_TRANSACTION_TIMEOUT });
+    } catch (error) {
+      logger.error('Error in items transaction:', error);
+      throw error;
+    }
+  }
+
+  async create(itemData) {
+    try {
+      return await this.prisma.$transaction((tx) => this.createWithin(tx, itemData));
     } catch (error) {
       logger.error('Error in create:', error);
       throw error;
     }
   }
 
-  async update(id, itemData) {
+  /**
+   * Creates the item together with its first revision, credited to the owner.
+   */
+  async createWithin(tx, itemData) {
+    const item = await tx.item.create({
+      data: {
+        name: itemData.name,
+        description: itemData.description || null,
+        price: itemData.price,
+        categoryId: itemData.categoryId || null,
+        externalKey: itemData.externalKey || null,
+        userId: itemData.userId,
+      },
+    });
+
+    await this.itemRevisionRepository.append(tx, item, { editorId: itemData.userId });
+    return item;
+  }
+
+  async update(id, itemData, revision = {}, expectedVersion) {
+    try {
+      return await this.prisma.$transaction((tx) => this.updateWithin(tx, id, itemData, revision, expectedVersion));
+    } catch (error) {
+      logger.error('Error in update:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Applies the changes and records a revision for them in the same transaction.
+   * revision: { editorId, revertedFrom } describing who made the change and why.
+   * With expectedVersion the write only happens if the item is still at that
+   * version; otherwise it fails with P2025 like a missing record.
+   */
+  async updateWithin(tx, id, itemData, revision = {}, expectedVersion) {
+    const item = await tx.item.update({
+      where: { id, ...NOT_DELETED, ...(expectedVersion !== undefined && { version: expectedVersion }) },
+      data: {
+        ...(itemData.name !== undefined && { name: itemData.name }),
+        ...(itemData.description !== undefined && { description: itemData.description }),
+        ...(itemData.price !== undefined && { price: itemData.price }),
+        ...(itemData.categoryId !== undefined && { categoryId: itemData.categoryId }),
+        version: { increment: 1 },
+      },
+    });
+
+    await this.itemRevisionRepository.append(tx, item, revision);
+    return item;
+  }
+
+  async softDelete(id, expectedVersion) {
+    try {
+      return await this.softDeleteWithin(this.prisma, id, expectedVersion);
+    } catch (error) {
+      logger.error('Error in softDelete:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Moves the item to the trash. It stays restorable until purged.
+   * expectedVersion works as for update.
+   */
+  async softDeleteWithin(tx, id, expectedVersion) {
+    return tx.item.update({
+      where: { id, ...NOT_DELETED, ...(expectedVersion !== undefined && { version: expectedVersion }) },
+      data: { deletedAt: new Date(), version: { increment: 1 } },
+    });
+  }
+
+  /**
+   * expectedVersion works as for update.
+   */
+  async restore(id, expectedVersion) {
     try {
       return await this.prisma.item.update({
-        where: { id },
-        data: {
-          ...(itemData.name && { name: itemData.name }),
-          ...(itemData.description !== undefined && { description: itemData.description }),
-          ...(itemData.price && { price: itemData.price }),
-          ...(itemData.category !== undefined && { category: itemData.category }),
-        },
+        where: { id, deletedAt: { not: null }, ...(expectedVersion !== undefined && { version: expectedVersion }) },
+        data: { deletedAt: null, version: { increment: 1 } },
       });
     } catch (error) {
-      logger.error('Error in update:', error);
+      logger.error('Error in restore:', error);
       throw error;
     }
   }
 
-  async delete(id) {
+  async findTrashedById(id) {
     try {
-      await this.prisma.item.delete({
-        where: { id },
+      return await this.prisma.item.findFirst({
+        where: { id, deletedAt: { not: null } },
       });
-      return true;
     } catch (error) {
-      logger.error('Error in delete:', error);
+      logger.error('Error in findTrashedById:', error);
       throw error;
     }
   }
 
-  async searchByName(searchTerm) {
+  /**
+   * Trashed items, most recently deleted first. Restricted to one owner when userId is given.
+   */
+  async findTrash({ page = 1, limit = 20, userId }) {
     try {
-      return await this.prisma.item.findMany({
-        where: {
-          name: {
-            contains: searchTerm,
-            mode: 'insensitive',
-          },
+      const where = {
+        deletedAt: { not: null },
+        ...(userId && { userId }),
+      };
+
+      const [items, total] = await Promise.all([
+        this.prisma.item.findMany({
+          where,
+          orderBy: [{ deletedAt: 'desc' }, { id: 'desc' }],
+          skip: (page - 1) * limit,
+          take: limit,
+        }),
+        this.prisma.item.count({ where }),
+      ]);
+
+      return {
+        items,
+        pagination: {
+          page,
+          limit,
+          total,
+          totalPages: Math.ceil(total / limit),
         },
-        orderBy: { createdAt: 'desc' },
+      };
+    } catch (error) {
+      logger.error('Error in findTrash:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Permanently removes items that have been in the trash since before the cutoff.
+   * Returns the number of items removed.
+   */
+  async purgeDeletedBefore(cutoff) {
+    try {
+      const { count } = await this.prisma.item.deleteMany({
+        where: { deletedAt: { lt: cutoff } },
       });
+      return count;
     } catch (error) {
-      logger.error('Error in searchByName:', error);
+      logger.error('Error in purgeDeletedBefore:', error);
       throw error;
     }
   }
 
-  async findWithPagination(page = 1, limit = 10) {
+  /**
+   * One page of items matching the list filters, ordered by the requested sort
+   * keys with id as the final tie-breaker so pages are stable.
+   */
+  async findWithPagination({ page = 1, limit = 20, sort = [], cursor, includeTotal, ...filters }) {
     try {
-      const skip = (page - 1) * limit;
+      const where = this.buildWhere(filters);
 
       const [items, total] = await Promise.all([
         this.prisma.item.findMany({
-          skip,
+          where,
+          orderBy: [
+            ...sort.map(({ field, direction }) => (field === 'category'
+              ? { category: { name: direction } }
+              : { [field]: direction })),
+            { id: sort.length > 0 ? sort[sort.length - 1].direction : 'desc' },
+          ],
+          skip: (page - 1) * limit,
           take: limit,
-          orderBy: { createdAt: 'desc' },
         }),
-        this.prisma.item.count(),
+        this.prisma.item.count({ where }),
       ]);
 
       return {
@@ -144,6 +290,87 @@ class ItemsRepository {
       throw error;
     }
   }
+
+  /**
+   * Keyset pagination on (createdAt, id). Unlike offsets, a page boundary stays
+   * put when rows are inserted or deleted while the client is paging.
+   * An empty cursor starts at the first page; the count is only run on request.
+   */
+  async findWithCursor({ cursor, limit = 20, sort = [], includeTotal = false, page, ...filters }) {
+    try {
+      const where = this.buildWhere(filters);
+      const order = sort.length > 0 ? sort[0].direction : 'desc';
+      const position = cursor || null;
+      const backwards = position !== null && position.direction === 'prev';
+
+      // Paging back walks the index in the opposite order, then flips the page
+      const scanOrder = backwards === (order === 'desc') ? 'asc' : 'desc';
+      const comparison = scanOrder === 'desc' ? 'lt' : 'gt';
+
+      const [rows, total] = await Promise.all([
+        this.prisma.item.findMany({
+          where: position
+            ? {
+              AND: [where, {
+                OR: [
+                  { createdAt: { [comparison]: position.createdAt } },
+                  { createdAt: position.createdAt, id: { [comparison]: position.id } },
+                ],
+              }],
+            }
+            : where,
+          orderBy: [{ createdAt: scanOrder }, { id: scanOrder }],
+          take: limit + 1,
+        }),
+        includeTotal ? this.prisma.item.count({ where }) : null,
+      ]);
+
+      const hasMore = rows.length > limit;
+      const items = rows.slice(0, limit);
+      if (backwards) {
+        items.reverse();
+      }
+
+      const first = items[0];
+      const last = items[items.length - 1];
+      const hasNext = backwards ? position !== null : hasMore;
+      const hasPrev = backwards ? hasMore : position !== null;
+
+      return {
+        items,
+        pagination: {
+          limit,
+          nextCursor: hasNext && last ? Cursor.encode(last, 'next') : null,
+          prevCursor: hasPrev && first ? Cursor.encode(first, 'prev') : null,
+          ...(includeTotal && { total }),
+        },
+      };
+    } catch (error) {
+      logger.error('Error in findWithCursor:', error);
+      throw error;
+    }
+  }
+
+  buildWhere({ search, categoryIds, minPrice, maxPrice, createdAfter, createdBefore, owner }) {
+    return {
+      ...NOT_DELETED,
+      ...(search && { name: { contains: search, mode: 'insensitive' } }),
+      ...(categoryIds && { categoryId: { in: categoryIds } }),
+      ...((minPrice !== undefined || maxPrice !== undefined) && {
+        price: {
+          ...(minPrice !== undefined && { gte: minPrice }),
+          ...(maxPrice !== undefined && { lte: maxPrice }),
+        },
+      }),
+      ...((createdAfter || createdBefore) && {
+        createdAt: {
+          ...(createdAfter && { gte: createdAfter }),
+          ...(createdBefore && { lt: createdBefore }),
+        },
+      }),
+      ...(owner && { userId: owner }),
+    };
+  }
 }
 
 module.exports = ItemsRepository;
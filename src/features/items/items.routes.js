@@ -3,7 +3,58 @@ const router = express.Router();
 const itemsController = require('./items.controller');
 const AuthMiddleware = require('../../common/middleware/auth.middleware');
 const ValidateMiddleware = require('../../common/middleware/validate.middleware');
-const { createItemSchema, updateItemSchema } = require('./items.validator');
+const AppError = require('../../common/errors/AppError');
+const ItemPatch = require('./item-patch');
+const { SCOPES } = require('../../common/constants/scopes');
+const {
+  createItemSchema,
+  replaceItemSchema,
+  mergePatchSchema,
+  jsonPatchSchema,
+  bulkItemsSchema,
+  listItemsSchema,
+  exportItemsSchema,
+  importItemsSchema,
+  searchItemsSchema,
+  trashQuerySchema,
+  revisionParamsSchema,
+  listRevisionsSchema,
+  diffRevisionsSchema,
+} = require('./items.validator');
+
+const canRead = AuthMiddleware.requireScope(SCOPES.ITEMS_READ);
+const canWrite = AuthMiddleware.requireScope(SCOPES.ITEMS_WRITE);
+// A misspelled filter must not silently widen the result, so unknown parameters are rejected
+const strictQuery = { stripUnknown: false };
+const validateListQuery = ValidateMiddleware.validate(listItemsSchema, 'query', strictQuery);
+const validateRevisionParams = ValidateMiddleware.validate(revisionParamsSchema, 'params');
+
+// Imports arrive as raw text and are parsed row by row in the service
+const IMPORT_TYPES = ['text/csv', 'application/x-ndjson', 'application/ndjson'];
+const parseImportBody = express.text({ type: IMPORT_TYPES, limit: '10mb' });
+
+const requireImportBody = (req, res, next) => {
+  if (!req.is(IMPORT_TYPES) || typeof req.body !== 'string') {
+    return next(new AppError(`Import requires Content-Type ${IMPORT_TYPES.join(' or ')}`, 415));
+  }
+  next();
+};
+
+const patchValidators = {
+  'merge-patch': ValidateMiddleware.validate(mergePatchSchema),
+  'json-patch': ValidateMiddleware.validate(jsonPatchSchema),
+};
+
+// PATCH bodies are told apart by Content-Type; anything else is refused with the supported types
+const validatePatch = (req, res, next) => {
+  const format = ItemPatch.formatOf(req);
+  if (!format) {
+    return next(new AppError(`PATCH requires Content-Type ${ItemPatch.ACCEPTED}`, 415, true, {
+      headers: { 'Accept-Patch': ItemPatch.ACCEPTED },
+    }));
+  }
+  return patchValidators[format](req, res, next);
+};
 
 /**
  * @swagger
@@ -16,62 +67,298 @@ const { createItemSchema, updateItemSchema } = require('./items.validator');
  * @swagger
  * /api/items:
  *   get:
- *     summary: Get all items
+ *     summary: List items
+ *     description: Filters, search, sort and pagination can be combined freely. Use page for numbered pages, or cursor for keyset pagination that stays consistent while items are added or removed.
  *     tags: [Items]
  *     security:
  *       - bearerAuth: []
+ *       - apiKeyAuth: []
  *     parameters:
  *       - in: query
  *         name: page
  *         schema:
  *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: cursor
+ *         description: nextCursor or prevCursor from a previous response, or empty for the first page. Cannot be combined with page; sort must be createdAt or -createdAt.
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: includeTotal
+ *         description: Also count all matching items in cursor mode
+ *         schema:
+ *           type: boolean
+ *           default: false
  *       - in: query
  *         name: limit
  *         schema:
  *           type: integer
+ *           default: 20
+ *           maximum: 100
  *       - in: query
  *         name: search
+ *         description: Matches the item name (case-insensitive)
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: category
+ *         description: Category id or slug; items in its subcategories match too
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: minPrice
+ *         schema:
+ *           type: number
+ *       - in: query
+ *         name: maxPrice
+ *         schema:
+ *           type: number
+ *       - in: query
+ *         name: createdAfter
+ *         description: Inclusive
  *         schema:
  *           type: string
+ *           format: date-time
+ *       - in: query
+ *         name: createdBefore
+ *         description: Exclusive
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *       - in: query
+ *         name: owner
+ *         description: ID of the user who created the item
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: sort
+ *         description: Comma-separated keys from name, price, category, createdAt and updatedAt; prefix with - for descending
+ *         schema:
+ *           type: string
+ *           default: -createdAt
+ *           example: price,-createdAt
  *     responses:
  *       200:
  *         description: Items retrieved successfully
+ *       400:
+ *         description: Invalid query parameters
  */
-router.get('/', AuthMiddleware.authenticate, itemsController.getAllItems);
+router.get('/', AuthMiddleware.authenticate, canRead, validateListQuery, itemsController.getAllItems);
 
 /**
  * @swagger
  * /api/items/my:
  *   get:
  *     summary: Get items created by current user
+ *     description: Accepts the same filter, sort and pagination parameters as GET /api/items, apart from owner.
  *     tags: [Items]
  *     security:
  *       - bearerAuth: []
+ *       - apiKeyAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: cursor
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
  *     responses:
  *       200:
  *         description: User items retrieved successfully
+ *       400:
+ *         description: Invalid query parameters
+ */
+router.get('/my', AuthMiddleware.authenticate, canRead, validateListQuery, itemsController.getMyItems);
+
+/**
+ * @swagger
+ * /api/items/search:
+ *   get:
+ *     summary: Full-text search over item name, description and category
+ *     description: |
+ *       Results are ranked by relevance, with matches in the name counting most. q supports
+ *       "quoted phrases", prefix* terms, OR and -excluded words. When nothing matches, the
+ *       search falls back to fuzzy matching on the name (mode is then "fuzzy") so typos still
+ *       find items. Highlights are HTML-escaped with matches wrapped in mark tags.
+ *     tags: [Items]
+ *     security:
+ *       - bearerAuth: []
+ *       - apiKeyAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: q
+ *         required: true
+ *         schema:
+ *           type: string
+ *           example: '"mechanical keyboard" lapt*'
+ *       - in: query
+ *         name: fuzzy
+ *         description: Fall back to fuzzy matching when there are no full-text matches
+ *         schema:
+ *           type: boolean
+ *           default: true
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *           maximum: 50
+ *       - in: query
+ *         name: category
+ *         description: Category id or slug; items in its subcategories match too
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: minPrice
+ *         schema:
+ *           type: number
+ *       - in: query
+ *         name: maxPrice
+ *         schema:
+ *           type: number
+ *       - in: query
+ *         name: owner
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Search completed successfully
+ *       400:
+ *         description: Invalid query parameters
  */
-router.get('/my', AuthMiddleware.authenticate, itemsController.getMyItems);
+router.get('/search', AuthMiddleware.authenticate, canRead, ValidateMiddleware.validate(searchItemsSchema, 'query', strictQuery), itemsController.searchItems);
+
+/**
+ * @swagger
+ * /api/items/export:
+ *   get:
+ *     summary: Export items as CSV, NDJSON or JSON
+ *     description: Streams every item matching the listing filters, in id order.
+ *     tags: [Items]
+ *     security:
+ *       - bearerAuth: []
+ *       - apiKeyAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: format
+ *         schema:
+ *           type: string
+ *           enum: [csv, ndjson, json]
+ *           default: csv
+ *       - in: query
+ *         name: search
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: category
+ *         description: Category id or slug; items in its subcategories match too
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: minPrice
+ *         schema:
+ *           type: number
+ *       - in: query
+ *         name: maxPrice
+ *         schema:
+ *           type: number
+ *       - in: query
+ *         name: createdAfter
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *       - in: query
+ *         name: createdBefore
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *       - in: query
+ *         name: owner
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: The export file
+ *         content:
+ *           text/csv: {}
+ *           application/x-ndjson: {}
+ *           application/json: {}
+ */
+router.get('/export', AuthMiddleware.authenticate, canRead, ValidateMiddleware.validate(exportItemsSchema, 'query', strictQuery), itemsController.exportItems);
+
+/**
+ * @swagger
+ * /api/items/trash:
+ *   get:
+ *     summary: List deleted items
+ *     description: Most recently deleted first. Users see their own trash; admins see everyone's and can filter by owner. Each item carries purgeAt, when it will be permanently deleted.
+ *     tags: [Items]
+ *     security:
+ *       - bearerAuth: []
+ *       - apiKeyAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *           maximum: 100
+ *       - in: query
+ *         name: owner
+ *         description: Admins only
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Trash retrieved successfully
+ */
+router.get('/trash', AuthMiddleware.authenticate, canRead, ValidateMiddleware.validate(trashQuerySchema, 'query'), itemsController.getTrash);
 
 /**
  * @swagger
  * /api/items/{id}:
  *   get:
  *     summary: Get item by ID
+ *     description: Returns the item's version as a strong ETag along with Last-Modified.
  *     tags: [Items]
  *     security:
  *       - bearerAuth: []
+ *       - apiKeyAuth: []
  *     parameters:
  *       - in: path
  *         name: id
  *         required: true
  *         schema:
  *           type: integer
+ *       - in: header
+ *         name: If-None-Match
+ *         schema:
+ *           type: string
+ *       - in: header
+ *         name: If-Modified-Since
+ *         schema:
+ *           type: string
  *     responses:
  *       200:
  *         description: Item retrieved successfully
+ *       304:
+ *         description: Not modified since the given ETag or date
  */
-router.get('/:id', AuthMiddleware.authenticate, itemsController.getItemById);
+router.get('/:id', AuthMiddleware.authenticate, canRead, itemsController.getItemById);
 
 /**
  * @swagger
@@ -81,6 +368,7 @@ router.get('/:id', AuthMiddleware.authenticate, itemsController.getItemById);
  *     tags: [Items]
  *     security:
  *       - bearerAuth: []
+ *       - apiKeyAuth: []
  *     requestBody:
  *       required: true
  *       content:
@@ -99,58 +387,464 @@ router.get('/:id', AuthMiddleware.authenticate, itemsController.getItemById);
  *               price:
  *                 type: number
  *                 example: 999.99
- *               category:
- *                 type: string
+ *               categoryId:
+ *                 type: integer
  *     responses:
  *       201:
  *         description: Item created successfully
+ *       403:
+ *         description: Email address not verified
+ */
+router.post('/', AuthMiddleware.authenticate, canWrite, AuthMiddleware.requireVerifiedEmail, ValidateMiddleware.validate(createItemSchema), itemsController.createItem);
+
+/**
+ * @swagger
+ * /api/items/import:
+ *   post:
+ *     summary: Import items from CSV or NDJSON
+ *     description: |
+ *       Creates items owned by you from a CSV file (header row with at least name and price)
+ *       or NDJSON (one item object per line). Every row is validated first and nothing is
+ *       written unless all rows are valid. Rows with an externalKey you already use are
+ *       rejected, or update that item when upsert=true.
+ *     tags: [Items]
+ *     security:
+ *       - bearerAuth: []
+ *       - apiKeyAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: dryRun
+ *         description: Validate and report without writing anything
+ *         schema:
+ *           type: boolean
+ *           default: false
+ *       - in: query
+ *         name: upsert
+ *         description: Update your existing items that have the same externalKey
+ *         schema:
+ *           type: boolean
+ *           default: false
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         text/csv:
+ *           schema:
+ *             type: string
+ *             example: "externalKey,name,description,price,categoryId\nSKU-1,Laptop,,999.99,3\n"
+ *         application/x-ndjson:
+ *           schema:
+ *             type: string
+ *             example: '{"externalKey":"SKU-1","name":"Laptop","price":999.99}'
+ *     responses:
+ *       200:
+ *         description: Counts of created and updated items, with row-level errors for a dry run
+ *       400:
+ *         description: Unreadable file or no rows
+ *       403:
+ *         description: Email address not verified
+ *       413:
+ *         description: Too many rows
+ *       415:
+ *         description: Unsupported Content-Type
+ *       422:
+ *         description: Some rows are invalid; details lists the errors per row and nothing was imported
+ */
+router.post('/import', AuthMiddleware.authenticate, canWrite, AuthMiddleware.requireVerifiedEmail, ValidateMiddleware.validate(importItemsSchema, 'query'), parseImportBody, requireImportBody, itemsController.importItems);
+
+/**
+ * @swagger
+ * /api/items/bulk:
+ *   post:
+ *     summary: Create, update and delete items in one request
+ *     description: |
+ *       Each operation follows the rules of the single-item endpoint: creates take a full item,
+ *       updates a merge patch of the fields to change, and updates and deletes need ownership
+ *       or a manager role. An optional version works like If-Match. In atomic mode nothing is
+ *       written unless every operation succeeds; in best-effort mode each one is reported separately.
+ *     tags: [Items]
+ *     security:
+ *       - bearerAuth: []
+ *       - apiKeyAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - operations
+ *             properties:
+ *               mode:
+ *                 type: string
+ *                 enum: [atomic, best-effort]
+ *                 default: atomic
+ *               operations:
+ *                 type: array
+ *                 maxItems: 500
+ *                 items:
+ *                   type: object
+ *                   required:
+ *                     - op
+ *                   properties:
+ *                     op:
+ *                       type: string
+ *                       enum: [create, update, delete]
+ *                     id:
+ *                       type: integer
+ *                     version:
+ *                       type: integer
+ *                     data:
+ *                       type: object
+ *           example:
+ *             mode: best-effort
+ *             operations:
+ *               - op: create
+ *                 data: { name: Laptop, price: 999.99 }
+ *               - op: update
+ *                 id: 12
+ *                 version: 3
+ *                 data: { price: 899.99, categoryId: null }
+ *               - op: delete
+ *                 id: 15
+ *     responses:
+ *       200:
+ *         description: Per-operation results with succeeded and failed counts
+ *       400:
+ *         description: Invalid request, or in atomic mode an invalid operation
+ *       403:
+ *         description: Email address not verified
+ *       404:
+ *         description: In atomic mode, an operation targets an item that is missing or not yours
+ *       412:
+ *         description: In atomic mode, an operation's version is stale
  */
-router.post('/', AuthMiddleware.authenticate, ValidateMiddleware.validate(createItemSchema), itemsController.createItem);
+router.post('/bulk', AuthMiddleware.authenticate, canWrite, AuthMiddleware.requireVerifiedEmail, ValidateMiddleware.validate(bulkItemsSchema), itemsController.bulkItems);
 
 /**
  * @swagger
  * /api/items/{id}:
  *   put:
- *     summary: Update item
+ *     summary: Replace item
+ *     description: Replaces all editable fields; optional fields that are left out are cleared.
  *     tags: [Items]
  *     security:
  *       - bearerAuth: []
+ *       - apiKeyAuth: []
  *     parameters:
  *       - in: path
  *         name: id
  *         required: true
  *         schema:
  *           type: integer
+ *       - in: header
+ *         name: If-Match
+ *         description: ETag from a previous read; required when ITEMS_REQUIRE_IF_MATCH=true
+ *         schema:
+ *           type: string
  *     requestBody:
  *       required: true
  *       content:
  *         application/json:
  *           schema:
  *             type: object
+ *             required:
+ *               - name
+ *               - price
+ *             properties:
+ *               name:
+ *                 type: string
+ *               description:
+ *                 type: string
+ *                 nullable: true
+ *               price:
+ *                 type: number
+ *               categoryId:
+ *                 type: integer
+ *                 nullable: true
+ *     responses:
+ *       200:
+ *         description: Item updated successfully
+ *       403:
+ *         description: Email address not verified
+ *       412:
+ *         description: The item has changed since the given ETag
+ *       428:
+ *         description: If-Match is required but was not sent
+ */
+router.put('/:id', AuthMiddleware.authenticate, canWrite, AuthMiddleware.requireVerifiedEmail, ValidateMiddleware.validate(replaceItemSchema), itemsController.updateItem);
+
+/**
+ * @swagger
+ * /api/items/{id}:
+ *   patch:
+ *     summary: Partially update item
+ *     description: |
+ *       Accepts a JSON Merge Patch (RFC 7396, null clears a field) or a JSON Patch
+ *       (RFC 6902) depending on Content-Type. The patched item is validated like a PUT body.
+ *     tags: [Items]
+ *     security:
+ *       - bearerAuth: []
+ *       - apiKeyAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: header
+ *         name: If-Match
+ *         description: ETag from a previous read; required when ITEMS_REQUIRE_IF_MATCH=true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/merge-patch+json:
+ *           schema:
+ *             type: object
+ *             example:
+ *               price: 0
+ *               description: null
+ *         application/json-patch+json:
+ *           schema:
+ *             type: array
+ *             items:
+ *               type: object
+ *               required:
+ *                 - op
+ *                 - path
+ *               properties:
+ *                 op:
+ *                   type: string
+ *                   enum: [add, remove, replace, move, copy, test]
+ *                 path:
+ *                   type: string
+ *                 from:
+ *                   type: string
+ *                 value: {}
+ *             example:
+ *               - op: test
+ *                 path: /price
+ *                 value: "899.99"
+ *               - op: remove
+ *                 path: /categoryId
  *     responses:
  *       200:
  *         description: Item updated successfully
+ *       400:
+ *         description: Malformed patch document
+ *       403:
+ *         description: Email address not verified
+ *       409:
+ *         description: A test operation failed
+ *       412:
+ *         description: The item has changed since the given ETag, or while the patch was applied
+ *       415:
+ *         description: Unsupported Content-Type; see the Accept-Patch header
+ *       422:
+ *         description: The patch cannot be applied or the patched item is invalid
+ *       428:
+ *         description: If-Match is required but was not sent
  */
-router.put('/:id', AuthMiddleware.authenticate, ValidateMiddleware.validate(updateItemSchema), itemsController.updateItem);
+router.patch('/:id', AuthMiddleware.authenticate, canWrite, AuthMiddleware.requireVerifiedEmail, validatePatch, itemsController.patchItem);
 
 /**
  * @swagger
  * /api/items/{id}:
  *   delete:
- *     summary: Delete item
+ *     summary: Move item to trash
+ *     description: The item can be restored until it is purged after ITEM_TRASH_RETENTION.
+ *     tags: [Items]
+ *     security:
+ *       - bearerAuth: []
+ *       - apiKeyAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: header
+ *         name: If-Match
+ *         description: ETag from a previous read; required when ITEMS_REQUIRE_IF_MATCH=true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Item moved to trash
+ *       403:
+ *         description: Email address not verified
+ *       412:
+ *         description: The item has changed since the given ETag
+ *       428:
+ *         description: If-Match is required but was not sent
+ */
+router.delete('/:id', AuthMiddleware.authenticate, canWrite, AuthMiddleware.requireVerifiedEmail, itemsController.deleteItem);
+
+/**
+ * @swagger
+ * /api/items/{id}/restore:
+ *   post:
+ *     summary: Restore item from trash
  *     tags: [Items]
  *     security:
  *       - bearerAuth: []
+ *       - apiKeyAuth: []
  *     parameters:
  *       - in: path
  *         name: id
  *         required: true
  *         schema:
  *           type: integer
+ *       - in: header
+ *         name: If-Match
+ *         description: ETag of the trashed item (its version, as listed in the trash); required when ITEMS_REQUIRE_IF_MATCH=true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Item restored successfully
+ *       404:
+ *         description: Item not found in trash or unauthorized
+ *       412:
+ *         description: The item has changed since the given ETag
+ *       428:
+ *         description: If-Match is required but was not sent
+ */
+router.post('/:id/restore', AuthMiddleware.authenticate, canWrite, AuthMiddleware.requireVerifiedEmail, itemsController.restoreItem);
+
+/**
+ * @swagger
+ * /api/items/{id}/revisions:
+ *   get:
+ *     summary: List an item's revisions
+ *     description: Newest first. Each revision records the editor and the fields it changed; snapshots are returned by the single-revision endpoint.
+ *     tags: [Items]
+ *     security:
+ *       - bearerAuth: []
+ *       - apiKeyAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *           maximum: 100
+ *     responses:
+ *       200:
+ *         description: Revisions retrieved successfully
+ *       404:
+ *         description: Item not found
+ */
+router.get('/:id/revisions', AuthMiddleware.authenticate, canRead, ValidateMiddleware.validate(listRevisionsSchema, 'query'), itemsController.getRevisions);
+
+/**
+ * @swagger
+ * /api/items/{id}/revisions/diff:
+ *   get:
+ *     summary: Compare two revisions of an item
+ *     tags: [Items]
+ *     security:
+ *       - bearerAuth: []
+ *       - apiKeyAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: from
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: to
+ *         description: Defaults to the latest revision
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Changed fields, each with its from and to value
+ *       404:
+ *         description: Item or revision not found
+ */
+router.get('/:id/revisions/diff', AuthMiddleware.authenticate, canRead, ValidateMiddleware.validate(diffRevisionsSchema, 'query'), itemsController.diffRevisions);
+
+/**
+ * @swagger
+ * /api/items/{id}/revisions/{rev}:
+ *   get:
+ *     summary: Get a revision with the item's full state at that point
+ *     tags: [Items]
+ *     security:
+ *       - bearerAuth: []
+ *       - apiKeyAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: path
+ *         name: rev
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Revision retrieved successfully
+ *       404:
+ *         description: Item or revision not found
+ */
+router.get('/:id/revisions/:rev', AuthMiddleware.authenticate, canRead, validateRevisionParams, itemsController.getRevision);
+
+/**
+ * @swagger
+ * /api/items/{id}/revisions/{rev}/revert:
+ *   post:
+ *     summary: Revert an item to an earlier revision
+ *     description: Restores the name, description, price and category of that revision. The revert is recorded as a new revision.
+ *     tags: [Items]
+ *     security:
+ *       - bearerAuth: []
+ *       - apiKeyAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: path
+ *         name: rev
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: header
+ *         name: If-Match
+ *         description: ETag from a previous read; required when ITEMS_REQUIRE_IF_MATCH=true
+ *         schema:
+ *           type: string
  *     responses:
  *       200:
- *         description: Item deleted successfully
+ *         description: Item reverted successfully
+ *       404:
+ *         description: Item or revision not found, or unauthorized
+ *       412:
+ *         description: The item has changed since the given ETag
+ *       428:
+ *         description: If-Match is required but was not sent
  */
-router.delete('/:id', AuthMiddleware.authenticate, itemsController.deleteItem);
+router.post('/:id/revisions/:rev/revert', AuthMiddleware.authenticate, canWrite, AuthMiddleware.requireVerifiedEmail, validateRevisionParams, itemsController.revertItem);
 
 module.exports = router;
@@ -1,26 +1,87 @@
 const ItemsRepository = require('./items.repository');
+const ItemSearchRepository = require('./item-search.repository');
+const ItemRevisionRepository = require('./item-revision.repository');
+const ItemSnapshot = require('./item-snapshot');
+const ItemEtag = require('./item-etag');
+const ItemPatch = require('./item-patch');
+const { replaceItemSchema, bulkOperationSchema } = require('./items.validator');
+const CategoriesService = require('../categories/categories.service');
+const Audit = require('../../common/utils/audit');
+const Duration = require('../../common/utils/duration');
+const Scheduler = require('../../common/utils/scheduler');
 const logger = require('../../common/utils/logger');
 const AppError = require('../../common/errors/AppError');
+const { ITEM_MANAGER_ROLES } = require('../../common/constants/roles');
+
+const trashConfig = {
+  retention: Duration.toMilliseconds(process.env.ITEM_TRASH_RETENTION, '30d'),
+  purgeInterval: Duration.toMilliseconds(process.env.ITEM_TRASH_PURGE_INTERVAL, '1h'),
+};
+
+const BULK_RESULT_STATUS = { create: 'created', update: 'updated', delete: 'deleted' };
+
+// When set, writes without If-Match are refused so no client can overwrite changes it has not seen
+const requireIfMatch = process.env.ITEMS_REQUIRE_IF_MATCH === 'true';
 
 class ItemsService {
   constructor() {
     this.itemsRepository = new ItemsRepository();
+    this.itemSearchRepository = new ItemSearchRepository();
+    this.itemRevisionRepository = new ItemRevisionRepository();
+    this.categoriesService = new CategoriesService();
   }
 
-  async getAllItems() {
+  /**
+   * Page-numbered listing by default; passing a cursor (empty for the first
+   * page) switches to keyset pagination.
+   */
+  async listItems(query) {
     try {
-      return await this.itemsRepository.findAll();
+      const resolvedQuery = await this.categoriesService.resolveItemFilter(query);
+
+      if (resolvedQuery.cursor !== undefined) {
+        return await this.itemsRepository.findWithCursor(resolvedQuery);
+      }
+      return await this.itemsRepository.findWithPagination(resolvedQuery);
     } catch (error) {
-      logger.error('Error in getAllItems service:', error);
+      logger.error('Error in listItems service:', error);
       throw error;
     }
   }
 
-  async getItemsByUser(userId) {
+  /**
+   * Full-text search ranked by relevance. When nothing matches and fuzzy is
+   * enabled, falls back to trigram matching on the name so typos still find items.
+   */
+  async searchItems({ q, fuzzy, page, limit, ...query }) {
     try {
-      return await this.itemsRepository.findByUserId(userId);
+      const filters = await this.categoriesService.resolveItemFilter(query);
+
+      let mode = 'fulltext';
+      let result = await this.itemSearchRepository.searchFullText(q, filters, page, limit);
+
+      if (result.total === 0 && fuzzy) {
+        mode = 'fuzzy';
+        result = await this.itemSearchRepository.searchFuzzy(q, filters, page, limit);
+      }
+
+      const itemsById = new Map((await this.itemsRepository.findByIds(result.ids))
+        .map((item) => [item.id, item]));
+
+      return {
+        items: result.ids
+          .filter((id) => itemsById.has(id))
+          .map((id) => ({ ...itemsById.get(id), ...result.matches.get(id) })),
+        mode,
+        pagination: {
+          page,
+          limit,
+          total: result.total,
+          totalPages: Math.ceil(result.total / limit),
+        },
+      };
     } catch (error) {
-      logger.error('Error in getItemsByUser service:', error);
+      logger.error('Error in searchItems service:', error);
       throw error;
     }
   }
@@ -38,16 +99,26 @@ class ItemsService {
     }
   }
 
-  async createItem(itemData, userId) {
+  async createItem(itemData, userId, context = {}) {
     try {
+      await this.categoriesService.assertExists(itemData.categoryId);
+
       const item = await this.itemsRepository.create({
         name: itemData.name,
-        description: itemData.description || null,
+        description: itemData.description ?? null,
         price: itemData.price,
-        category: itemData.category || null,
+        categoryId: itemData.categoryId ?? null,
         userId,
       });
 
+      await Audit.record('item.created', {
+        actorId: userId,
+        targetType: 'item',
+        targetId: item.id,
+        context,
+        after: item,
+      });
+
       logger.info(`Item created successfully by user ${userId}: ${item.name}`);
       return item;
     } catch (error) {
@@ -56,33 +127,97 @@ class ItemsService {
     }
   }
 
-  async updateItem(id, itemData, userId) {
+  /**
+   * Replaces every editable field of the item with itemData.
+   *
+   * @param {null|'*'|number[]} ifMatch parsed If-Match header, see ItemEtag.parseIfMatch
+   */
+  async updateItem(id, itemData, user, context = {}, ifMatch = null) {
     try {
-      const existingItem = await this.itemsRepository.findByIdAndUserId(id, userId);
+      const existingItem = await this.findManageableItem(id, user, ITEM_MANAGER_ROLES.update);
       if (!existingItem) {
         throw new AppError('Item not found or unauthorized', 404);
       }
 
-      const updatedItem = await this.itemsRepository.update(id, itemData);
-      
-      logger.info(`Item updated successfully by user ${userId}: ${updatedItem.name}`);
-      return updatedItem;
+      const expectedVersion = this.checkPrecondition(existingItem, ifMatch);
+      await this.categoriesService.assertExists(itemData.categoryId);
+
+      return await this.writeItem(existingItem, itemData, user, context, expectedVersion);
     } catch (error) {
       logger.error('Error in updateItem service:', error);
       throw error;
     }
   }
 
-  async deleteItem(id, userId) {
+  /**
+   * Applies a JSON Merge Patch or JSON Patch to the item. The patched item must
+   * pass the same validation as a full replacement, otherwise nothing is written (422).
+   *
+   * @param {'merge-patch'|'json-patch'} format see ItemPatch.formatOf
+   */
+  async patchItem(id, patch, format, user, context = {}, ifMatch = null) {
     try {
-      const existingItem = await this.itemsRepository.findByIdAndUserId(id, userId);
+      const existingItem = await this.findManageableItem(id, user, ITEM_MANAGER_ROLES.update);
       if (!existingItem) {
         throw new AppError('Item not found or unauthorized', 404);
       }
 
-      await this.itemsRepository.delete(id);
-      
-      logger.info(`Item deleted successfully by user ${userId}`);
+      this.checkPrecondition(existingItem, ifMatch);
+
+      const { error, value } = replaceItemSchema.validate(ItemPatch.apply(existingItem, format, patch), {
+        abortEarly: false,
+      });
+      if (error) {
+        throw new AppError(`Patched item is invalid: ${error.details.map((detail) => detail.message).join(', ')}`, 422);
+      }
+      await this.categoriesService.assertExists(value.categoryId);
+
+      // The patch was applied to this exact version, so the write must not land on any other
+      return await this.writeItem(existingItem, value, user, context, existingItem.version);
+    } catch (error) {
+      logger.error('Error in patchItem service:', error);
+      throw error;
+    }
+  }
+
+  async writeItem(existingItem, itemData, user, context, expectedVersion) {
+    const updatedItem = await this.guardConcurrentWrite(
+      this.itemsRepository.update(existingItem.id, itemData, { editorId: user.id }, expectedVersion),
+      expectedVersion
+    );
+
+    await Audit.record('item.updated', {
+      actorId: user.id,
+      targetType: 'item',
+      targetId: existingItem.id,
+      context,
+      before: existingItem,
+      after: updatedItem,
+    });
+
+    logger.info(`Item updated successfully by user ${user.id}: ${updatedItem.name}`);
+    return updatedItem;
+  }
+
+  async deleteItem(id, user, context = {}, ifMatch = null) {
+    try {
+      const existingItem = await this.findManageableItem(id, user, ITEM_MANAGER_ROLES.delete);
+      if (!existingItem) {
+        throw new AppError('Item not found or unauthorized', 404);
+      }
+
+      const expectedVersion = this.checkPrecondition(existingItem, ifMatch);
+      await this.guardConcurrentWrite(this.itemsRepository.softDelete(id, expectedVersion), expectedVersion);
+
+      await Audit.record('item.deleted', {
+        actorId: user.id,
+        targetType: 'item',
+        targetId: id,
+        context,
+        before: existingItem,
+      });
+
+      logger.info(`Item moved to trash by user ${user.id}`);
       return true;
     } catch (error) {
       logger.error('Error in deleteItem service:', error);
@@ -90,23 +225,391 @@ class ItemsService {
     }
   }
 
-  async searchItems(searchTerm) {
+  /**
+   * Runs a batch of create, update and delete operations with the same
+   * validation and ownership rules as the single-item endpoints. In atomic mode
+   * one invalid or failing operation aborts the whole batch; in best-effort mode
+   * every operation is applied on its own and reported individually.
+   */
+  async bulkItems({ mode, operations }, user, context = {}) {
+    try {
+      const ids = operations.map((operation) => operation.id).filter(Number.isInteger);
+      const existingItems = new Map((await this.itemsRepository.findByIds(ids)).map((item) => [item.id, item]));
+      const categoryIds = await this.categoriesService.findExistingIds(operations
+        .map((operation) => operation.data && operation.data.categoryId)
+        .filter(Number.isInteger));
+
+      const prepared = operations.map((operation, index) => {
+        try {
+          return { index, ...this.prepareBulkOperation(operation, existingItems, categoryIds, user) };
+        } catch (error) {
+          return { index, op: operation.op, error: this.toBulkError(error) };
+        }
+      });
+
+      const results = mode === 'atomic'
+        ? await this.runAtomicBulk(prepared, user)
+        : await this.runBestEffortBulk(prepared, user);
+
+      for (const result of results.filter((entry) => !entry.error)) {
+        await Audit.record(`item.${BULK_RESULT_STATUS[result.op]}`, {
+          actorId: user.id,
+          targetType: 'item',
+          targetId: result.item.id,
+          context,
+          before: result.existingItem,
+          after: result.op === 'delete' ? undefined : result.item,
+          bulk: true,
+        });
+      }
+
+      const failed = results.filter((result) => result.error).length;
+      logger.info(`Bulk ${mode} request by user ${user.id}: ${results.length - failed} applied, ${failed} failed`);
+
+      return {
+        mode,
+        succeeded: results.length - failed,
+        failed,
+        results: results.map(({ index, op, item, error }) => ({
+          index,
+          op,
+          status: error ? 'failed' : BULK_RESULT_STATUS[op],
+          ...(item && { id: item.id }),
+          ...(item && op !== 'delete' && { item }),
+          ...(error && { error }),
+        })),
+      };
+    } catch (error) {
+      logger.error('Error in bulkItems service:', error);
+      throw error;
+    }
+  }
+
+  async runAtomicBulk(prepared, user) {
+    const invalid = prepared.filter((operation) => operation.error);
+    if (invalid.length > 0) {
+      throw new AppError('Some operations cannot be applied, so none were', 400, true, {
+        details: invalid.map(({ index, op, error }) => ({ index, op, error })),
+      });
+    }
+
+    let current;
     try {
-      return await this.itemsRepository.searchByName(searchTerm);
+      return await this.itemsRepository.transaction(async (tx) => {
+        const results = [];
+        for (const operation of prepared) {
+          current = operation;
+          results.push({ ...operation, item: await this.applyBulkOperation(tx, operation, user) });
+        }
+        return results;
+      });
     } catch (error) {
-      logger.error('Error in searchItems service:', error);
+      if (!current) {
+        throw error;
+      }
+      const { status, message } = this.toBulkError(error, current.expectedVersion);
+      throw new AppError(`Operation ${current.index} failed, no operations were applied: ${message}`, status, true, {
+        details: [{ index: current.index, op: current.op, error: { status, message } }],
+      });
+    }
+  }
+
+  async runBestEffortBulk(prepared, user) {
+    const results = [];
+    for (const operation of prepared) {
+      if (operation.error) {
+        results.push(operation);
+        continue;
+      }
+
+      try {
+        const item = await this.itemsRepository.transaction((tx) => this.applyBulkOperation(tx, operation, user));
+        results.push({ ...operation, item });
+      } catch (error) {
+        results.push({ ...operation, error: this.toBulkError(error, operation.expectedVersion) });
+      }
+    }
+    return results;
+  }
+
+  /**
+   * Validates one operation and checks it against the item as read before the
+   * batch started. Throws an AppError describing why it cannot be applied.
+   */
+  prepareBulkOperation(operation, existingItems, categoryIds, user) {
+    const { error, value } = bulkOperationSchema.validate(operation, { abortEarly: false, stripUnknown: true });
+    if (error) {
+      throw new AppError(error.details.map((detail) => detail.message).join(', '), 400);
+    }
+
+    const assertCategory = (categoryId) => {
+      if (categoryId && !categoryIds.has(categoryId)) {
+        throw new AppError(`Category ${categoryId} does not exist`, 400);
+      }
+    };
+
+    if (value.op === 'create') {
+      assertCategory(value.data.categoryId);
+      return { op: value.op, data: value.data };
+    }
+
+    const existingItem = existingItems.get(value.id);
+    const canManage = existingItem
+      && (existingItem.userId === user.id || ITEM_MANAGER_ROLES[value.op].includes(user.role));
+    if (!canManage) {
+      throw new AppError('Item not found or unauthorized', 404);
+    }
+
+    const expectedVersion = this.checkPrecondition(existingItem, value.version ? [value.version] : null);
+    if (value.op === 'delete') {
+      return { op: value.op, existingItem, expectedVersion };
+    }
+
+    const patched = replaceItemSchema.validate(ItemPatch.apply(existingItem, 'merge-patch', value.data), {
+      abortEarly: false,
+    });
+    if (patched.error) {
+      throw new AppError(`Updated item is invalid: ${patched.error.details.map((detail) => detail.message).join(', ')}`, 422);
+    }
+    assertCategory(patched.value.categoryId);
+
+    // The update was computed from this read, so it must not land on any other version
+    return { op: value.op, existingItem, data: patched.value, expectedVersion: existingItem.version };
+  }
+
+  async applyBulkOperation(tx, { op, existingItem, data, expectedVersion }, user) {
+    if (op === 'create') {
+      return this.itemsRepository.createWithin(tx, { ...data, userId: user.id });
+    }
+    if (op === 'update') {
+      return this.itemsRepository.updateWithin(tx, existingItem.id, data, { editorId: user.id }, expectedVersion);
+    }
+    return this.itemsRepository.softDeleteWithin(tx, existingItem.id, expectedVersion);
+  }
+
+  /**
+   * { status, message } for a failed bulk operation. Unexpected errors are rethrown.
+   */
+  toBulkError(error, expectedVersion) {
+    if (error.code === 'P2025') {
+      return expectedVersion === undefined
+        ? { status: 404, message: 'Item not found or unauthorized' }
+        : { status: 412, message: 'Item has been modified since it was fetched' };
+    }
+    if (!(error instanceof AppError)) {
+      throw error;
+    }
+    return { status: error.statusCode, message: error.message };
+  }
+
+  async getRevisions(id, page, limit) {
+    try {
+      await this.getItemById(id);
+      return await this.itemRevisionRepository.findByItemId(id, page, limit);
+    } catch (error) {
+      logger.error('Error in getRevisions service:', error);
+      throw error;
+    }
+  }
+
+  async getRevision(id, revision) {
+    try {
+      await this.getItemById(id);
+      return await this.findRevision(id, revision);
+    } catch (error) {
+      logger.error('Error in getRevision service:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Field-level changes between two revisions; to defaults to the latest one.
+   */
+  async diffRevisions(id, from, to) {
+    try {
+      await this.getItemById(id);
+
+      const fromRevision = await this.findRevision(id, from);
+      const toRevision = to === undefined
+        ? await this.itemRevisionRepository.findLatest(id)
+        : await this.findRevision(id, to);
+
+      return {
+        from: fromRevision.revision,
+        to: toRevision.revision,
+        changes: ItemSnapshot.diff(fromRevision.snapshot, toRevision.snapshot),
+      };
+    } catch (error) {
+      logger.error('Error in diffRevisions service:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Restores the fields of an earlier revision. The revert is itself recorded
+   * as a new revision, so history is never rewritten.
+   */
+  async revertItem(id, revision, user, context = {}, ifMatch = null) {
+    try {
+      const existingItem = await this.findManageableItem(id, user, ITEM_MANAGER_ROLES.update);
+      if (!existingItem) {
+        throw new AppError('Item not found or unauthorized', 404);
+      }
+
+      const expectedVersion = this.checkPrecondition(existingItem, ifMatch);
+      const { snapshot } = await this.findRevision(id, revision);
+      // The category may have been deleted since
+      await this.categoriesService.assertExists(snapshot.categoryId);
+      const updatedItem = await this.guardConcurrentWrite(
+        this.itemsRepository.update(id, snapshot, { editorId: user.id, revertedFrom: revision }, expectedVersion),
+        expectedVersion
+      );
+
+      await Audit.record('item.reverted', {
+        actorId: user.id,
+        targetType: 'item',
+        targetId: id,
+        context,
+        before: existingItem,
+        after: updatedItem,
+        revision,
+      });
+
+      logger.info(`Item ${id} reverted to revision ${revision} by user ${user.id}`);
+      return updatedItem;
+    } catch (error) {
+      logger.error('Error in revertItem service:', error);
+      throw error;
+    }
+  }
+
+  async findRevision(id, revision) {
+    const found = await this.itemRevisionRepository.findOne(id, revision);
+    if (!found) {
+      throw new AppError(`Revision ${revision} not found`, 404);
+    }
+    return found;
+  }
+
+  /**
+   * Users see their own trash; roles that may delete anyone's items see all of it.
+   */
+  async getTrash({ page, limit, owner }, user) {
+    try {
+      const userId = ITEM_MANAGER_ROLES.delete.includes(user.role) ? owner : user.id;
+      const result = await this.itemsRepository.findTrash({ page, limit, userId });
+
+      return {
+        ...result,
+        items: result.items.map((item) => ({
+          ...item,
+          purgeAt: new Date(item.deletedAt.getTime() + trashConfig.retention),
+        })),
+      };
+    } catch (error) {
+      logger.error('Error in getTrash service:', error);
       throw error;
     }
   }
 
-  async getItemsWithPagination(page, limit) {
+  async restoreItem(id, user, context = {}, ifMatch = null) {
     try {
-      return await this.itemsRepository.findWithPagination(page, limit);
+      const trashedItem = await this.itemsRepository.findTrashedById(id);
+      const canRestore = trashedItem
+        && (trashedItem.userId === user.id || ITEM_MANAGER_ROLES.delete.includes(user.role));
+      if (!canRestore) {
+        throw new AppError('Item not found in trash or unauthorized', 404);
+      }
+
+      const expectedVersion = this.checkPrecondition(trashedItem, ifMatch);
+      const item = await this.guardConcurrentWrite(this.itemsRepository.restore(id, expectedVersion), expectedVersion);
+
+      await Audit.record('item.restored', {
+        actorId: user.id,
+        targetType: 'item',
+        targetId: id,
+        context,
+        before: { deletedAt: trashedItem.deletedAt },
+        after: { deletedAt: null },
+      });
+
+      logger.info(`Item restored from trash by user ${user.id}: ${item.name}`);
+      return item;
+    } catch (error) {
+      logger.error('Error in restoreItem service:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Permanently deletes items that have been in the trash longer than ITEM_TRASH_RETENTION.
+   */
+  async purgeTrash() {
+    try {
+      const cutoff = new Date(Date.now() - trashConfig.retention);
+      const purged = await this.itemsRepository.purgeDeletedBefore(cutoff);
+
+      if (purged > 0) {
+        await Audit.record('item.trash_purged', { count: purged, deletedBefore: cutoff });
+        logger.info(`Purged ${purged} item(s) from the trash`);
+      }
+      return purged;
     } catch (error) {
-      logger.error('Error in getItemsWithPagination service:', error);
+      logger.error('Error in purgeTrash service:', error);
       throw error;
     }
   }
+
+  /**
+   * Enforces If-Match against the item as just read: 428 when it is required
+   * but missing, 412 when it names another version. Returns the version the
+   * write must still find, so a change racing in after this check fails too.
+   */
+  checkPrecondition(item, ifMatch) {
+    if (ifMatch === null) {
+      if (requireIfMatch) {
+        throw new AppError('This request requires an If-Match header with the item\'s current ETag', 428);
+      }
+      return undefined;
+    }
+
+    if (!ItemEtag.matches(item, ifMatch)) {
+      throw new AppError('Item has been modified since it was fetched', 412, true, {
+        headers: { ETag: ItemEtag.of(item) },
+      });
+    }
+
+    return ifMatch === '*' ? undefined : item.version;
+  }
+
+  async guardConcurrentWrite(write, expectedVersion) {
+    try {
+      return await write;
+    } catch (error) {
+      if (error.code === 'P2025' && expectedVersion !== undefined) {
+        throw new AppError('Item has been modified since it was fetched', 412);
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Owners can always manage their items; managerRoles may manage anyone's.
+   */
+  async findManageableItem(id, user, managerRoles) {
+    if (managerRoles.includes(user.role)) {
+      return this.itemsRepository.findById(id);
+    }
+
+    return this.itemsRepository.findByIdAndUserId(id, user.id);
+  }
+
+  /**
+   * Purges the trash every ITEM_TRASH_PURGE_INTERVAL. Called once at server startup.
+   */
+  static scheduleTrashPurge() {
+    return Scheduler.every('item trash purge', trashConfig.purgeInterval, () => new ItemsService().purgeTrash());
+  }
 }
 
 module.exports = ItemsService;
@@ -1,4 +1,6 @@
 const Joi = require('joi');
+const Cursor = require('../../common/utils/cursor');
+const { SLUG_PATTERN } = require('../categories/categories.validator');
 
 const createItemSchema = Joi.object({
   name: Joi.string().min(3).max(100).required().messages({
@@ -6,22 +8,250 @@ const createItemSchema = Joi.object({
     'string.max': 'Item name must not exceed 100 characters',
     'any.required': 'Item name is required',
   }),
-  description: Joi.string().max(500).optional(),
-  price: Joi.number().positive().precision(2).required().messages({
-    'number.positive': 'Price must be a positive number',
+  description: Joi.string().max(500).allow(null).optional(),
+  price: Joi.number().min(0).precision(2).required().messages({
+    'number.min': 'Price must not be negative',
     'any.required': 'Price is required',
   }),
-  category: Joi.string().max(50).optional(),
+  categoryId: Joi.number().integer().positive().allow(null).optional(),
 });
 
-const updateItemSchema = Joi.object({
-  name: Joi.string().min(3).max(100).optional(),
-  description: Joi.string().max(500).optional(),
-  price: Joi.number().positive().precision(2).optional(),
-  category: Joi.string().max(50).optional(),
-}).min(1);
+// PUT replaces the whole item, so leaving out an optional field clears it
+const replaceItemSchema = createItemSchema.keys({
+  description: Joi.string().max(500).allow(null).default(null),
+  categoryId: Joi.number().integer().positive().allow(null).default(null),
+});
+
+// Shape of the patch documents only; the patched item is checked against replaceItemSchema
+const mergePatchSchema = Joi.object({
+  name: Joi.any(),
+  description: Joi.any(),
+  price: Joi.any(),
+  categoryId: Joi.any(),
+})
+  .min(1)
+  .messages({
+    'object.base': 'A merge patch must be a JSON object',
+    'object.min': 'A merge patch must change at least one of name, description, price or categoryId',
+  });
+
+const JSON_POINTER = /^(\/([^~/]|~[01])*)*$/;
+
+const jsonPatchSchema = Joi.array()
+  .items(Joi.object({
+    op: Joi.string().valid('add', 'remove', 'replace', 'move', 'copy', 'test').required(),
+    path: Joi.string().allow('').pattern(JSON_POINTER).required(),
+    from: Joi.string().allow('').pattern(JSON_POINTER).when('op', {
+      is: Joi.valid('move', 'copy'),
+      then: Joi.required(),
+    }),
+    value: Joi.any().when('op', {
+      is: Joi.valid('add', 'replace', 'test'),
+      then: Joi.required(),
+    }),
+  }))
+  .min(1)
+  .max(50)
+  .messages({
+    'array.base': 'A JSON patch must be an array of operations',
+    'array.min': 'A JSON patch must contain at least one operation',
+    'string.pattern.base': '{{#label}} must be a JSON pointer',
+  });
+
+const BULK_MAX_OPERATIONS = parseInt(process.env.ITEMS_BULK_MAX_OPERATIONS, 10) || 500;
+
+// A single bulk operation; checked one by one so best-effort mode can report each failure
+const bulkOperationSchema = Joi.object({
+  op: Joi.string().valid('create', 'update', 'delete').required(),
+  id: Joi.number().integer().positive().when('op', {
+    is: 'create',
+    then: Joi.forbidden(),
+    otherwise: Joi.required(),
+  }),
+  version: Joi.number().integer().positive().when('op', {
+    is: 'create',
+    then: Joi.forbidden(),
+  }),
+  // create takes a full item, update a merge patch of the fields to change
+  data: Joi.when('op', {
+    switch: [
+      { is: 'create', then: createItemSchema.required() },
+      { is: 'update', then: mergePatchSchema.required() },
+    ],
+    otherwise: Joi.forbidden(),
+  }),
+});
+
+const bulkItemsSchema = Joi.object({
+  mode: Joi.string().valid('atomic', 'best-effort').default('atomic'),
+  operations: Joi.array()
+    .items(Joi.object().unknown())
+    .min(1)
+    .max(BULK_MAX_OPERATIONS)
+    .unique('id', { ignoreUndefined: true })
+    .required()
+    .messages({
+      'array.max': `A bulk request may contain at most ${BULK_MAX_OPERATIONS} operations`,
+      'array.unique': 'Each item may only appear in one operation per bulk request',
+    }),
+});
+
+const SORTABLE_FIELDS = ['name', 'price', 'category', 'createdAt', 'updatedAt'];
+
+// "price,-createdAt" -> [{ field: 'price', direction: 'asc' }, { field: 'createdAt', direction: 'desc' }]
+const sortSchema = Joi.string()
+  .trim()
+  .pattern(new RegExp(`^-?(${SORTABLE_FIELDS.join('|')})(,-?(${SORTABLE_FIELDS.join('|')}))*$`))
+  .custom((value, helpers) => {
+    const sort = value.split(',').map((key) => ({
+      field: key.replace(/^-/, ''),
+      direction: key.startsWith('-') ? 'desc' : 'asc',
+    }));
+
+    if (new Set(sort.map(({ field }) => field)).size !== sort.length) {
+      return helpers.error('sort.duplicate');
+    }
+    return sort;
+  })
+  .messages({
+    'string.pattern.base': `sort must be a comma-separated list of ${SORTABLE_FIELDS.join(', ')}, each optionally prefixed with - for descending order`,
+    'sort.duplicate': 'sort must not list a field more than once',
+  });
+
+// An empty cursor asks for the first page in cursor mode
+const cursorSchema = Joi.string()
+  .allow('')
+  .max(200)
+  .custom((value, helpers) => Cursor.decode(value) || helpers.error('cursor.invalid'))
+  .messages({
+    'cursor.invalid': 'cursor is invalid',
+  });
+
+// The listing, search and export routes reject unknown query parameters
+const unknownQueryMessages = {
+  'object.unknown': '{#key} is not a supported query parameter',
+};
+
+// Filters shared by the listing and search endpoints
+const itemFilterKeys = {
+  // Matches the category and all of its subcategories
+  category: Joi.alternatives()
+    .try(
+      Joi.number().integer().positive(),
+      Joi.string().trim().pattern(SLUG_PATTERN).messages({
+        'string.pattern.base': 'category must be a category ID or slug',
+      })
+    )
+    .optional(),
+  minPrice: Joi.number().min(0).optional(),
+  maxPrice: Joi.number().min(0).optional().when('minPrice', {
+    is: Joi.exist(),
+    then: Joi.number().min(Joi.ref('minPrice')).messages({
+      'number.min': 'maxPrice must not be less than minPrice',
+    }),
+  }),
+  createdAfter: Joi.date().iso().optional(),
+  createdBefore: Joi.date().iso().optional().when('createdAfter', {
+    is: Joi.exist(),
+    then: Joi.date().greater(Joi.ref('createdAfter')).messages({
+      'date.greater': 'createdBefore must be later than createdAfter',
+    }),
+  }),
+  owner: Joi.number().integer().positive().optional().messages({
+    'number.base': 'owner must be a user ID',
+  }),
+};
+
+const listItemsSchema = Joi.object({
+  page: Joi.number().integer().min(1).optional(),
+  cursor: cursorSchema.optional(),
+  includeTotal: Joi.boolean().default(false),
+  limit: Joi.number().integer().min(1).max(100).default(20),
+  search: Joi.string().trim().max(100).optional(),
+  ...itemFilterKeys,
+  sort: sortSchema.default([{ field: 'createdAt', direction: 'desc' }]),
+})
+  .oxor('page', 'cursor')
+  .custom((value, helpers) => {
+    // Cursors are keyed on (createdAt, id), so that is the only order they can follow
+    if (value.cursor !== undefined && (value.sort.length !== 1 || value.sort[0].field !== 'createdAt')) {
+      return helpers.error('cursor.sort');
+    }
+    return value;
+  })
+  .messages({
+    ...unknownQueryMessages,
+    'object.oxor': 'page cannot be combined with cursor',
+    'cursor.sort': 'cursor pagination only supports sort=createdAt or sort=-createdAt',
+  });
+
+const exportItemsSchema = Joi.object({
+  format: Joi.string().valid('csv', 'ndjson', 'json').default('csv'),
+  search: Joi.string().trim().max(100).optional(),
+  ...itemFilterKeys,
+}).messages(unknownQueryMessages);
+
+const importItemsSchema = Joi.object({
+  dryRun: Joi.boolean().default(false),
+  upsert: Joi.boolean().default(false),
+});
+
+// One imported row: a complete item plus the key that later imports can update it by
+const importItemSchema = replaceItemSchema.keys({
+  externalKey: Joi.string().trim().max(100).allow(null).default(null),
+});
+
+const searchItemsSchema = Joi.object({
+  q: Joi.string().trim().min(1).max(200).required().messages({
+    'any.required': 'Search query q is required',
+  }),
+  fuzzy: Joi.boolean().default(true),
+  page: Joi.number().integer().min(1).default(1),
+  limit: Joi.number().integer().min(1).max(50).default(20),
+  ...itemFilterKeys,
+}).messages(unknownQueryMessages);
+
+const trashQuerySchema = Joi.object({
+  page: Joi.number().integer().min(1).default(1),
+  limit: Joi.number().integer().min(1).max(100).default(20),
+  owner: Joi.number().integer().positive().optional().messages({
+    'number.base': 'owner must be a user ID',
+  }),
+});
+
+const revisionParamsSchema = Joi.object({
+  id: Joi.number().integer().positive().required(),
+  rev: Joi.number().integer().positive().required().messages({
+    'number.base': 'Revision must be a number',
+  }),
+});
+
+const listRevisionsSchema = Joi.object({
+  page: Joi.number().integer().min(1).default(1),
+  limit: Joi.number().integer().min(1).max(100).default(20),
+});
+
+const diffRevisionsSchema = Joi.object({
+  from: Joi.number().integer().positive().required().messages({
+    'any.required': 'from revision is required',
+  }),
+  to: Joi.number().integer().positive().optional(),
+});
 
 module.exports = {
   createItemSchema,
-  updateItemSchema,
+  replaceItemSchema,
+  mergePatchSchema,
+  jsonPatchSchema,
+  bulkOperationSchema,
+  bulkItemsSchema,
+  listItemsSchema,
+  exportItemsSchema,
+  importItemsSchema,
+  importItemSchema,
+  searchItemsSchema,
+  trashQuerySchema,
+  revisionParamsSchema,
+  listRevisionsSchema,
+  diffRevisionsSchema,
 };
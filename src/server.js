@@ -3,19 +3,38 @@ const express = require('express');
 const cors = require('cors');
 const swaggerUi = require('swagger-ui-express');
 const swaggerSpecs = require('./common/config/swagger');
+const Environment = require('./common/config/environment');
 const prismaClient = require('./common/database/prisma.client');
 const logger = require('./common/utils/logger');
+const jwtService = require('./common/jwt/jwt');
 const ErrorHandler = require('./common/errors/ErrorHandler');
+const revocationStore = require('./common/stores/revocation.store');
+const Duration = require('./common/utils/duration');
+const Scheduler = require('./common/utils/scheduler');
+const LoginThrottleService = require('./features/auth/login-throttle.service');
+const ItemsService = require('./features/items/items.service');
 
 const authRoutes = require('./features/auth/auth.routes');
 const itemsRoutes = require('./features/items/items.routes');
+const categoriesRoutes = require('./features/categories/categories.routes');
+const adminRoutes = require('./features/admin/admin.routes');
+const apiKeysRoutes = require('./features/api-keys/api-keys.routes');
+const auditRoutes = require('./features/audit/audit.routes');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
 
+// Needed behind a reverse proxy so req.ip reflects the client for login throttling
+if (process.env.TRUST_PROXY) {
+  app.set('trust proxy', /^\d+$/.test(process.env.TRUST_PROXY)
+    ? parseInt(process.env.TRUST_PROXY, 10)
+    : process.env.TRUST_PROXY);
+}
+
 // Middleware
 app.use(cors());
-app.use(express.json());
+// application/*+json covers the merge-patch and json-patch bodies of PATCH requests
+app.use(express.json({ type: ['application/json', 'application/*+json'] }));
 app.use(express.urlencoded({ extended: true }));
 
 // Request logging
@@ -50,6 +69,9 @@ app.get('/', (req, res) => {
       endpoints: {
         auth: '/api/auth',
         items: '/api/items',
+        admin: '/api/admin',
+        audit: '/api/admin/audit',
+        apiKeys: '/api/api-keys',
       },
       version: '2.0.0',
       architecture: 'Feature-based with SOLID principles',
@@ -105,9 +127,29 @@ app.get('/health', async (req, res) => {
   }
 });
 
+/**
+ * @swagger
+ * /.well-known/jwks.json:
+ *   get:
+ *     summary: Public keys for verifying access tokens
+ *     description: JSON Web Key Set of the active and still-accepted signing keys. Empty when tokens are signed with HS256.
+ *     tags: [General]
+ *     responses:
+ *       200:
+ *         description: JSON Web Key Set
+ */
+app.get('/.well-known/jwks.json', (req, res) => {
+  res.set('Cache-Control', 'public, max-age=300');
+  res.json(jwtService.getJwks());
+});
+
 // API Routes
 app.use('/api/auth', authRoutes);
 app.use('/api/items', itemsRoutes);
+app.use('/api/categories', categoriesRoutes);
+app.use('/api/admin/audit', auditRoutes);
+app.use('/api/admin', adminRoutes);
+app.use('/api/api-keys', apiKeysRoutes);
 
 // 404 handler
 app.use((req, res) => {
@@ -120,11 +162,29 @@ app.use((req, res) => {
 // Error handler (must be last)
 app.use(ErrorHandler.handle);
 
+// Periodic maintenance; each job logs its own failures without stopping the others
+const scheduleBackgroundJobs = () => {
+  // Expired revocations can never match a valid token again, so they are dropped periodically
+  const revocationPruneInterval = Duration.toMilliseconds(process.env.TOKEN_REVOCATION_PRUNE_INTERVAL, '1h');
+  Scheduler.every('token revocation prune', revocationPruneInterval, async () => {
+    const removed = await revocationStore.prune();
+    if (removed > 0) {
+      logger.debug(`Pruned ${removed} expired token revocation(s)`);
+    }
+  });
+
+  LoginThrottleService.schedulePrune();
+  ItemsService.scheduleTrashPurge();
+};
+
 const startServer = async () => {
   try {
+    Environment.validate();
     await prismaClient.connect();
     logger.info('Database connection established');
 
+    scheduleBackgroundJobs();
+
     app.listen(PORT, () => {
       console.log(`
 ╔════════════════════════════════════════════════════════════════╗